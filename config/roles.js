@@ -0,0 +1,77 @@
+// ==========================================
+// ROLES & PERMISSIONS
+// Permissions are "<resource>:<action>"; "<resource>:*" grants every action
+// on a resource and "*" grants everything
+// ==========================================
+const PERMISSIONS = {
+  'admin:access': 'الدخول إلى لوحة التحكم',
+  'dashboard:view': 'عرض إحصائيات لوحة التحكم',
+  'stats:view': 'عرض الإحصائيات المفصلة',
+  'articles:create': 'كتابة المقالات',
+  'articles:update': 'تعديل المقالات',
+  'articles:delete': 'حذف المقالات',
+  'articles:publish': 'نشر المقالات',
+  'products:create': 'إضافة المنتجات',
+  'products:update': 'تعديل المنتجات',
+  'products:delete': 'حذف المنتجات',
+  'orders:view': 'عرض الطلبات',
+  'orders:update': 'تحديث حالة الطلبات',
+  'orders:delete': 'حذف الطلبات',
+  'posts:moderate': 'إدارة منشورات المجتمع',
+  'comments:moderate': 'إدارة التعليقات',
+  'moderation:blocklist': 'إدارة قائمة الكلمات والروابط المحظورة',
+  'reports:review': 'مراجعة البلاغات',
+  'ads:manage': 'إدارة الإعلانات',
+  'users:view': 'عرض المستخدمين',
+  'users:manage': 'إدارة حسابات المستخدمين',
+  'users:roles': 'تعيين الأدوار',
+  'theme:update': 'تعديل ألوان الموقع',
+  'audit:view': 'عرض سجل العمليات الإدارية'
+};
+
+const ROLES = {
+  'super-admin': {
+    label: 'مدير عام',
+    permissions: ['*']
+  },
+  editor: {
+    label: 'محرر',
+    permissions: ['admin:access', 'dashboard:view', 'articles:*', 'ads:manage']
+  },
+  moderator: {
+    label: 'مشرف',
+    permissions: ['admin:access', 'dashboard:view', 'posts:moderate', 'comments:moderate', 'moderation:blocklist', 'reports:review', 'users:view', 'users:manage']
+  },
+  'shop-manager': {
+    label: 'مسؤول المتجر',
+    permissions: ['admin:access', 'dashboard:view', 'stats:view', 'products:*', 'orders:*']
+  },
+  expert: {
+    label: 'خبيرة',
+    permissions: ['admin:access', 'articles:create', 'articles:update']
+  }
+};
+
+// Does a list of granted permissions cover `permission`?
+const permissionGranted = (granted, permission) => {
+  const [resource] = permission.split(':');
+  return granted.includes('*') ||
+    granted.includes(permission) ||
+    granted.includes(`${resource}:*`);
+};
+
+// Union of the permissions of several roles
+const permissionsForRoles = (roles) => {
+  const permissions = new Set();
+  roles.forEach(role => {
+    (ROLES[role]?.permissions || []).forEach(permission => permissions.add(permission));
+  });
+  return [...permissions];
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  permissionGranted,
+  permissionsForRoles
+};
@@ -63,15 +63,16 @@ async function createAdminUser() {
         email: 'mamanalgeriennepartenariat@gmail.com',
         phone: '0555123456',
         password: 'anesaya75',
-        isAdmin: true
+        isAdmin: true,
+        roles: ['super-admin']
       });
       
       await admin.save();
       console.log('✅ Admin user created successfully');
     } else {
       // Ensure existing user is admin
-      if (!existingAdmin.isAdmin) {
-        existingAdmin.isAdmin = true;
+      if (!existingAdmin.getRoles().includes('super-admin')) {
+        existingAdmin.roles = ['super-admin'];
         await existingAdmin.save();
         console.log('✅ Existing user promoted to admin');
       } else {
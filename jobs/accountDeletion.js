@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { anonymizeUser } = require('../services/accountData');
+
+// ==========================================
+// ACCOUNT DELETION - Anonymize accounts whose grace period is over
+// ==========================================
+const run = async () => {
+  const User = mongoose.model('User');
+
+  const due = await User.find({
+    deletionScheduledFor: { $ne: null, $lte: new Date() },
+    status: { $ne: 'deleted' }
+  }).select('_id');
+
+  for (const user of due) {
+    await anonymizeUser(user._id);
+  }
+
+  if (due.length > 0) {
+    console.log(`🗑️ ${due.length} account(s) deleted after grace period`);
+  }
+};
+
+module.exports = {
+  name: 'accountDeletion',
+  intervalMs: 60 * 60 * 1000,
+  run
+};
@@ -0,0 +1,14 @@
+const { publishDueArticles } = require('../services/articleStatus');
+
+// ==========================================
+// ARTICLE PUBLISHING - Publish scheduled articles when their time comes
+// ==========================================
+const run = async () => {
+  await publishDueArticles();
+};
+
+module.exports = {
+  name: 'articlePublishing',
+  intervalMs: 60 * 1000,
+  run
+};
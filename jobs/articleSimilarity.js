@@ -0,0 +1,15 @@
+const { refreshSimilarities } = require('../services/recommendations');
+
+// ==========================================
+// ARTICLE SIMILARITY - Refresh the cached related articles
+// ==========================================
+const run = async () => {
+  const count = await refreshSimilarities();
+  console.log(`🔗 Related articles refreshed for ${count} article(s)`);
+};
+
+module.exports = {
+  name: 'articleSimilarity',
+  intervalMs: 6 * 60 * 60 * 1000,
+  run
+};
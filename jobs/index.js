@@ -0,0 +1,36 @@
+// ==========================================
+// BACKGROUND JOBS
+// Each job exports { name, intervalMs, run }; runs never overlap
+// ==========================================
+const jobs = [
+  require('./accountDeletion'),
+  require('./suspensionExpiry'),
+  require('./articlePublishing'),
+  require('./articleSimilarity')
+];
+
+const startJobs = () => {
+  jobs.forEach(job => {
+    let running = false;
+
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`❌ Job ${job.name} failed:`, error.message);
+      } finally {
+        running = false;
+      }
+    };
+
+    // First run shortly after startup, then on the job's interval
+    setTimeout(tick, 10 * 1000).unref();
+    setInterval(tick, job.intervalMs).unref();
+
+    console.log(`  ⏱️  ${job.name} every ${Math.round(job.intervalMs / 1000)}s`);
+  });
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,19 @@
+const { expireSuspensions } = require('../services/userModeration');
+
+// ==========================================
+// SUSPENSION EXPIRY - Reactivate accounts whose suspension is over
+// (auth also lifts them on the next request; this keeps statuses accurate for admins)
+// ==========================================
+const run = async () => {
+  const lifted = await expireSuspensions();
+
+  if (lifted > 0) {
+    console.log(`✅ ${lifted} suspension(s) expired`);
+  }
+};
+
+module.exports = {
+  name: 'suspensionExpiry',
+  intervalMs: 15 * 60 * 1000,
+  run
+};
@@ -1,9 +1,48 @@
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
+const { touchSession } = require('../services/sessions');
+const { isTwoFactorRequired } = require('../services/twoFactor');
+const { checkAccountStatus } = require('../services/userModeration');
 
 // JWT Secret
 const JWT_SECRET = process.env.JWT_SECRET || 'maman-algerienne-secret-key-2024';
 
+// Tokens carry the user's tokenVersion; bumping it revokes older tokens
+const isTokenRevoked = (decoded, user) => (decoded.tv || 0) !== (user.tokenVersion || 0);
+
+// Resolve the user (and session) behind an access token and mark the session as used
+// Returns null when the user is gone or the token/session has been revoked
+const resolveToken = async (token, req) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+  if (decoded.purpose) {
+    return null;
+  }
+
+  const User = mongoose.model('User');
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user || isTokenRevoked(decoded, user)) {
+    return null;
+  }
+
+  // Tokens issued before sessions existed carry no sid and rely on tokenVersion only
+  let session = null;
+  if (decoded.sid) {
+    const Session = mongoose.model('Session');
+    session = await Session.findById(decoded.sid);
+
+    if (!session || !session.isActive() || !session.user.equals(user._id)) {
+      return null;
+    }
+
+    await touchSession(session, req);
+  }
+
+  return { user, session };
+};
+
 // ==========================================
 // AUTH MIDDLEWARE - Verify JWT Token
 // ==========================================
@@ -20,13 +59,9 @@ const auth = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // Get User model
-    const User = mongoose.model('User');
-    const user = await User.findById(decoded.userId).select('-password');
+    const resolved = await resolveToken(token, req);
 
-    if (!user) {
+    if (!resolved) {
       return res.status(401).json({ 
         success: false,
         message: 'رمز المصادقة غير صالح',
@@ -34,18 +69,18 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Check if user account is active
-    if (user.status !== 'active') {
-      return res.status(403).json({ 
-        success: false,
-        message: 'تم تعليق هذا الحساب',
-        code: 'ACCOUNT_SUSPENDED'
-      });
+    const { user, session } = resolved;
+
+    // Check if user account is active (the 403 tells the user why)
+    const blocked = await checkAccountStatus(user);
+    if (blocked) {
+      return res.status(403).json(blocked);
     }
 
     // Attach user to request
     req.user = user;
     req.userId = user._id;
+    req.authSession = session;
     
     console.log('✅ Auth successful for user:', user.email, 'ID:', user._id);
     
@@ -88,21 +123,21 @@ const optionalAuth = async (req, res, next) => {
     if (!token) {
       req.user = null;
       req.userId = null;
+      req.authSession = null;
       return next();
     }
 
     // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    const User = mongoose.model('User');
-    const user = await User.findById(decoded.userId).select('-password');
+    const resolved = await resolveToken(token, req);
 
-    if (user && user.status === 'active') {
-      req.user = user;
-      req.userId = user._id;
+    if (resolved && !(await checkAccountStatus(resolved.user))) {
+      req.user = resolved.user;
+      req.userId = resolved.user._id;
+      req.authSession = resolved.session;
     } else {
       req.user = null;
       req.userId = null;
+      req.authSession = null;
     }
 
     next();
@@ -111,6 +146,7 @@ const optionalAuth = async (req, res, next) => {
     // If token verification fails, continue without user
     req.user = null;
     req.userId = null;
+    req.authSession = null;
     next();
   }
 };
@@ -131,12 +167,9 @@ const adminAuth = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    const User = mongoose.model('User');
-    const user = await User.findById(decoded.userId).select('-password');
+    const resolved = await resolveToken(token, req);
 
-    if (!user) {
+    if (!resolved) {
       return res.status(401).json({ 
         success: false,
         message: 'رمز المصادقة غير صالح',
@@ -144,26 +177,35 @@ const adminAuth = async (req, res, next) => {
       });
     }
 
-    if (user.status !== 'active') {
+    const { user, session } = resolved;
+
+    const blocked = await checkAccountStatus(user);
+    if (blocked) {
+      return res.status(403).json(blocked);
+    }
+
+    // Check if user has any staff role
+    if (!user.hasPermission('admin:access')) {
       return res.status(403).json({ 
         success: false,
-        message: 'تم تعليق هذا الحساب',
-        code: 'ACCOUNT_SUSPENDED'
+        message: 'هذا الإجراء مخصص للمديرين فقط',
+        code: 'ADMIN_REQUIRED'
       });
     }
 
-    // Check if user is admin
-    if (!user.isAdmin) {
+    // Staff must have two-factor authentication enabled when the policy is on
+    if (isTwoFactorRequired(user) && !user.twoFactor?.enabled) {
       return res.status(403).json({ 
         success: false,
-        message: 'هذا الإجراء مخصص للمديرين فقط',
-        code: 'ADMIN_REQUIRED'
+        message: 'يجب تفعيل المصادقة الثنائية للوصول إلى لوحة التحكم',
+        code: 'TWO_FACTOR_REQUIRED'
       });
     }
 
     // Attach user to request
     req.user = user;
     req.userId = user._id;
+    req.authSession = session;
     
     console.log('✅ Admin auth successful for:', user.email, 'ID:', user._id);
     
@@ -197,40 +239,39 @@ const adminAuth = async (req, res, next) => {
 };
 
 // ==========================================
-// OWNER OR ADMIN - Check resource ownership
+// REQUIRE PERMISSION - Staff member holding every listed permission
+// Usage: router.post('/', requirePermission('articles:create'), handler)
 // ==========================================
-const ownerOrAdmin = (getResourceOwnerId) => {
-  return async (req, res, next) => {
-    try {
-      // First verify authentication
-      const token = req.header('Authorization')?.replace('Bearer ', '');
-
-      if (!token) {
-        return res.status(401).json({ 
-          success: false,
-          message: 'لا يوجد رمز مصادقة'
-        });
-      }
+const requirePermission = (...permissions) => {
+  const checkPermissions = (req, res, next) => {
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
 
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const User = mongoose.model('User');
-      const user = await User.findById(decoded.userId).select('-password');
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'ليس لديك صلاحية للقيام بهذا الإجراء',
+        code: 'PERMISSION_DENIED',
+        missing
+      });
+    }
 
-      if (!user) {
-        return res.status(401).json({ 
-          success: false,
-          message: 'رمز المصادقة غير صالح'
-        });
-      }
+    next();
+  };
 
-      req.user = user;
-      req.userId = user._id;
+  return [adminAuth, checkPermissions];
+};
 
-      const resourceOwnerId = getResourceOwnerId(req);
-      const userId = user._id.toString();
+// ==========================================
+// OWNER OR ADMIN - Check resource ownership
+// Staff holding `permission` (super-admins when omitted) pass as well
+// ==========================================
+const ownerOrAdmin = (getResourceOwnerId, permission = '*') => {
+  const checkOwnership = async (req, res, next) => {
+    try {
+      const resourceOwnerId = await getResourceOwnerId(req);
 
-      // Allow if user is admin or owns the resource
-      if (user.isAdmin || resourceOwnerId === userId) {
+      // Allow if user holds the permission or owns the resource
+      if (req.user.hasPermission(permission) || resourceOwnerId === req.userId.toString()) {
         return next();
       }
 
@@ -248,6 +289,48 @@ const ownerOrAdmin = (getResourceOwnerId) => {
       });
     }
   };
+
+  // auth resolves the token and turns away suspended and banned accounts
+  return [auth, checkOwnership];
+};
+
+// ==========================================
+// REQUIRE VERIFIED - Restrict unverified accounts
+// VERIFICATION_REQUIRED_FOR lists the restricted actions, e.g. "posts,comments,orders"
+// Must run after auth
+// ==========================================
+const verificationRequiredFor = (process.env.VERIFICATION_REQUIRED_FOR || '')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+// Actions for which a verified phone is as good as a verified email
+const phoneVerificationAccepted = ['orders'];
+
+const requireVerified = (action) => {
+  return (req, res, next) => {
+    if (!verificationRequiredFor.includes(action) || req.user.emailVerified) {
+      return next();
+    }
+
+    if (phoneVerificationAccepted.includes(action)) {
+      if (req.user.phoneVerified) {
+        return next();
+      }
+
+      return res.status(403).json({
+        success: false,
+        message: 'يرجى تأكيد بريدك الإلكتروني أو رقم هاتفك أولاً للقيام بهذا الإجراء',
+        code: 'ACCOUNT_NOT_VERIFIED'
+      });
+    }
+
+    res.status(403).json({
+      success: false,
+      message: 'يرجى تأكيد بريدك الإلكتروني أولاً للقيام بهذا الإجراء',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  };
 };
 
 // ==========================================
@@ -294,6 +377,8 @@ module.exports = {
   auth,
   optionalAuth,
   adminAuth,
+  requirePermission,
   ownerOrAdmin,
+  requireVerified,
   rateLimiter
 };
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// ARTICLE SLUGS - Replace "<latin-only title>-<timestamp>" slugs
+// The old slug is kept in previousSlugs so existing links redirect
+// ==========================================
+const up = async () => {
+  const Article = mongoose.model('Article');
+
+  const articles = await Article.find({
+    $or: [
+      { slug: /-\d{13}$/ },
+      { slug: null }
+    ]
+  });
+
+  let changed = 0;
+  for (const article of articles) {
+    const previous = article.slug;
+    await article.refreshSlug();
+    if (article.slug !== previous) {
+      await article.saveWithSlug();
+      changed++;
+    }
+  }
+
+  return changed;
+};
+
+module.exports = {
+  name: 'articleSlugs',
+  up
+};
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// ARTICLE STATUS - Replace the `published` boolean with `status`
+// ==========================================
+const up = async () => {
+  const Article = mongoose.model('Article');
+
+  // Written on the raw collection: `published` is no longer in the schema
+  const [published, drafts] = await Promise.all([
+    Article.collection.updateMany(
+      { status: { $exists: false }, published: { $ne: false } },
+      [{ $set: { status: 'published', publishedAt: '$createdAt', publishAt: null } }, { $unset: 'published' }]
+    ),
+    Article.collection.updateMany(
+      { status: { $exists: false }, published: false },
+      [{ $set: { status: 'draft', publishedAt: null, publishAt: null } }, { $unset: 'published' }]
+    )
+  ]);
+
+  return published.modifiedCount + drafts.modifiedCount;
+};
+
+module.exports = {
+  name: 'articleStatus',
+  up
+};
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// COMMENT TARGETS - Comments used to belong to posts only (`post`);
+// they now point to an article, a post or a product (`targetType` + `target`)
+// ==========================================
+const LEGACY_INDEX = 'post_1';
+
+const up = async () => {
+  const Comment = mongoose.model('Comment');
+
+  // Written on the raw collection: `post` is no longer in the schema
+  const result = await Comment.collection.updateMany(
+    { target: { $exists: false }, post: { $exists: true } },
+    [{ $set: { targetType: 'Post', target: '$post' } }, { $unset: 'post' }]
+  );
+
+  const indexes = await Comment.collection.indexes();
+  if (indexes.some(index => index.name === LEGACY_INDEX)) {
+    await Comment.collection.dropIndex(LEGACY_INDEX);
+    console.log('  🗑️ Comment: legacy post index dropped');
+  }
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  name: 'commentTargets',
+  up
+};
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// COMMENT THREADS - Reply counters for comments saved before they existed,
+// and replies whose parent was deleted before tombstones are moved to the top level
+// ==========================================
+const up = async () => {
+  const Comment = mongoose.model('Comment');
+  let changed = 0;
+
+  // Every comment saved since threads exist has a counter: nothing left to migrate
+  const missing = { repliesCount: { $exists: false } };
+  if (!(await Comment.exists(missing))) return 0;
+
+  const parents = await Comment.aggregate([
+    { $match: { parentComment: { $ne: null } } },
+    { $group: { _id: '$parentComment', count: { $sum: 1 } } }
+  ]);
+
+  const existing = await Comment.find({ _id: { $in: parents.map(parent => parent._id) } }).distinct('_id');
+  const existingIds = new Set(existing.map(String));
+  const orphanedParents = parents.filter(parent => !existingIds.has(parent._id.toString()));
+
+  if (orphanedParents.length > 0) {
+    const result = await Comment.updateMany(
+      { parentComment: { $in: orphanedParents.map(parent => parent._id) } },
+      { $set: { parentComment: null } }
+    );
+    changed += result.modifiedCount;
+  }
+
+  const counted = parents.filter(parent => existingIds.has(parent._id.toString()));
+  if (counted.length > 0) {
+    const result = await Comment.bulkWrite(counted.map(parent => ({
+      updateOne: {
+        filter: { _id: parent._id, ...missing },
+        update: { $set: { repliesCount: parent.count } }
+      }
+    })));
+    changed += result.modifiedCount;
+  }
+
+  const rest = await Comment.updateMany(missing, { $set: { repliesCount: 0 } });
+  changed += rest.modifiedCount;
+
+  return changed;
+};
+
+module.exports = {
+  name: 'commentThreads',
+  up
+};
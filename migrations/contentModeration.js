@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// CONTENT MODERATION - Posts and comments published before moderation existed
+// are approved; the never-saved `approved` flag is dropped if present
+// ==========================================
+const up = async () => {
+  let changed = 0;
+
+  for (const modelName of ['Post', 'Comment']) {
+    // Written on the raw collection: `approved` is not in the schema
+    const result = await mongoose.model(modelName).collection.updateMany(
+      { moderationStatus: { $exists: false } },
+      { $set: { moderationStatus: 'approved' }, $unset: { approved: '' } }
+    );
+    changed += result.modifiedCount;
+  }
+
+  return changed;
+};
+
+module.exports = {
+  name: 'contentModeration',
+  up
+};
@@ -0,0 +1,31 @@
+// ==========================================
+// DATA MIGRATIONS
+// Each migration exports { name, up } and must be safe to run on every startup:
+// it only touches documents still in the old shape
+// ==========================================
+const migrations = [
+  // Must run before anything that saves articles: a loaded document gets the
+  // schema's default status, which would then be written over the old flag
+  require('./articleStatus'),
+  require('./articleSlugs'),
+  require('./searchFields'),
+  require('./commentTargets'),
+  require('./commentThreads'),
+  require('./contentModeration'),
+  require('./postAuthorVisibility')
+];
+
+const runMigrations = async () => {
+  for (const migration of migrations) {
+    try {
+      const changed = await migration.up();
+      if (changed > 0) {
+        console.log(`  ✅ ${migration.name}: ${changed} document(s) migrated`);
+      }
+    } catch (error) {
+      console.error(`  ❌ Migration ${migration.name} failed:`, error.message);
+    }
+  }
+};
+
+module.exports = { runMigrations };
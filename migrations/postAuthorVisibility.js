@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// POST AUTHOR VISIBILITY - Copy each author's profile visibility onto posts
+// written before posts carried it
+// ==========================================
+const up = async () => {
+  const Post = mongoose.model('Post');
+  const User = mongoose.model('User');
+
+  // Written on the raw collection: a loaded post would already have the schema default
+  const missing = { authorVisibility: { $exists: false } };
+  const authorIds = await Post.collection.distinct('author', missing);
+  if (authorIds.length === 0) return 0;
+
+  const restricted = await User.find({
+    _id: { $in: authorIds },
+    'preferences.privacy.profileVisibility': { $in: ['friends', 'private'] }
+  }).select('preferences.privacy.profileVisibility').lean();
+
+  let changed = 0;
+  for (const user of restricted) {
+    const result = await Post.collection.updateMany(
+      { ...missing, author: user._id },
+      { $set: { authorVisibility: user.preferences.privacy.profileVisibility } }
+    );
+    changed += result.modifiedCount;
+  }
+
+  const result = await Post.collection.updateMany(missing, { $set: { authorVisibility: 'public' } });
+  return changed + result.modifiedCount;
+};
+
+module.exports = {
+  name: 'postAuthorVisibility',
+  up
+};
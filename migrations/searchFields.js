@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// SEARCH FIELDS - Move searchable models to the normalized search index
+// Drops the old text indexes (a collection can only have one) and fills the
+// search fields of documents saved before they existed
+// ==========================================
+const SEARCHABLE_MODELS = {
+  Article: 'title_text_content_text_excerpt_text',
+  Product: 'name_text_description_text',
+  Post: null,
+  User: null
+};
+
+const up = async () => {
+  let changed = 0;
+
+  for (const [modelName, legacyIndex] of Object.entries(SEARCHABLE_MODELS)) {
+    const Model = mongoose.model(modelName);
+
+    const indexes = await Model.collection.indexes();
+    if (legacyIndex && indexes.some(index => index.name === legacyIndex)) {
+      await Model.collection.dropIndex(legacyIndex);
+      console.log(`  🗑️ ${modelName}: legacy text index dropped`);
+    }
+
+    // Deleted accounts are not searchable
+    const filter = { search: { $exists: false } };
+    if (modelName === 'User') filter.status = { $ne: 'deleted' };
+
+    // Written directly: only the search fields change, no other save hook should run
+    const documents = await Model.find(filter);
+    for (const document of documents) {
+      document.refreshSearchFields();
+      await Model.updateOne({ _id: document._id }, { $set: { search: document.search.toObject() } });
+      changed++;
+    }
+
+    // Build the new text index now that the old one is gone
+    await Model.createIndexes();
+  }
+
+  return changed;
+};
+
+module.exports = {
+  name: 'searchFields',
+  up
+};
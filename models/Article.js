@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { slugify, uniqueSlug } = require('../utils/slug');
+const searchable = require('./plugins/searchable');
 
 const ArticleSchema = new mongoose.Schema({
   title: {
@@ -31,9 +33,20 @@ const ArticleSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'مؤلف المقال مطلوب']
   },
-  published: {
-    type: Boolean,
-    default: true
+  // Only "published" articles are visible to visitors
+  status: {
+    type: String,
+    enum: ['draft', 'in_review', 'scheduled', 'published', 'archived'],
+    default: 'draft'
+  },
+  // When a scheduled article goes live
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
   },
   featured: {
     type: Boolean,
@@ -47,6 +60,10 @@ const ArticleSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  commentsCount: {
+    type: Number,
+    default: 0
+  },
   tags: [{
     type: String,
     trim: true
@@ -56,6 +73,10 @@ const ArticleSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  // Slugs the article used to have; old links redirect to the current one
+  previousSlugs: [{
+    type: String
+  }],
   metaDescription: {
     type: String,
     maxlength: [160, 'وصف الميتا لا يمكن أن يتجاوز 160 حرف']
@@ -70,35 +91,92 @@ const ArticleSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Create slug from title before saving
-ArticleSchema.pre('save', function(next) {
-  if (this.isModified('title')) {
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^\w\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .trim() + '-' + Date.now();
+// Give the article a unique slug derived from its title
+// The previous slug is kept in previousSlugs so shared links keep working
+ArticleSchema.methods.refreshSlug = async function() {
+  const base = slugify(this.title) || 'article';
+
+  // Already derived from this title ("base" or "base-N"): keep it stable
+  // (slugs only contain letters, digits and dashes, nothing to escape)
+  // 13-digit suffixes are the old "<title>-<timestamp>" slugs, which get replaced
+  if (this.slug && (this.slug === base || new RegExp(`^${base}-\\d{1,12}$`).test(this.slug))) {
+    return this.slug;
+  }
+
+  const Article = this.constructor;
+  const slug = await uniqueSlug(base, async (candidate) => {
+    // An article may take back one of its own old slugs
+    if (this.previousSlugs.includes(candidate)) return false;
+    return !!(await Article.exists({
+      _id: { $ne: this._id },
+      $or: [{ slug: candidate }, { previousSlugs: candidate }]
+    }));
+  });
+
+  if (this.slug && !this.previousSlugs.includes(this.slug)) {
+    this.previousSlugs.push(this.slug);
+  }
+  this.previousSlugs = this.previousSlugs.filter(previous => previous !== slug);
+  this.slug = slug;
+
+  return slug;
+};
+
+const MAX_SLUG_SAVE_ATTEMPTS = 3;
+
+// Save, picking the next free slug when a concurrent save took the same one
+// between the uniqueness check and the write
+ArticleSchema.methods.saveWithSlug = async function() {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await this.save();
+    } catch (error) {
+      const slugTaken = error.code === 11000 && error.keyPattern && error.keyPattern.slug;
+      if (!slugTaken || attempt >= MAX_SLUG_SAVE_ATTEMPTS) throw error;
+
+      // The lost slug was never ours, so it must not land in previousSlugs
+      this.slug = undefined;
+      await this.refreshSlug();
+    }
+  }
+};
+
+ArticleSchema.pre('save', async function() {
+  if (this.isModified('title') || !this.slug) {
+    await this.refreshSlug();
+  }
+
+  // Scheduled articles keep their planned date, even if the job ran a bit late
+  if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
+    const now = new Date();
+    this.publishedAt = this.publishAt && this.publishAt < now ? this.publishAt : now;
   }
   
   if (this.isModified('content')) {
     const wordCount = this.content.split(/\s+/).length;
     this.readTime = Math.max(1, Math.ceil(wordCount / 200));
   }
-  
-  next();
 });
 
+ArticleSchema.plugin(searchable, { title: 'title', body: ['excerpt', 'content'] });
+
 // Indexes
-ArticleSchema.index({ title: 'text', content: 'text', excerpt: 'text' });
 ArticleSchema.index({ category: 1 });
-ArticleSchema.index({ published: 1 });
+ArticleSchema.index({ status: 1, publishedAt: -1 });
+ArticleSchema.index({ status: 1, publishAt: 1 });
 ArticleSchema.index({ featured: 1 });
 ArticleSchema.index({ createdAt: -1 });
 ArticleSchema.index({ slug: 1 });
+ArticleSchema.index({ previousSlugs: 1 });
 ArticleSchema.index({ author: 1 });
+ArticleSchema.index({ tags: 1 });
 ArticleSchema.index({ views: -1 });
 
+// Kept for API clients written against the old boolean
+ArticleSchema.virtual('published').get(function() {
+  return this.status === 'published';
+});
+
 // Virtual for likes count
 ArticleSchema.virtual('likesCount').get(function() {
   return this.likes ? this.likes.length : 0;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Snapshot of an article's editable content after a save
+const ArticleRevisionSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  // 1, 2, 3... per article
+  number: {
+    type: Number,
+    required: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  title: String,
+  excerpt: String,
+  content: String,
+  category: String,
+  tags: [String],
+  changedFields: [String],
+  // Set when the revision was created by restoring an older one
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+ArticleRevisionSchema.index({ article: 1, number: -1 }, { unique: true });
+
+module.exports = mongoose.model('ArticleRevision', ArticleRevisionSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Cached "related articles" of an article, recomputed in the background
+const ArticleSimilaritySchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true,
+    unique: true
+  },
+  related: [{
+    _id: false,
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article'
+    },
+    score: Number,
+    // Which signals matched: tags, category, likes, views
+    reasons: [String]
+  }],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ArticleSimilarity', ArticleSimilaritySchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Which member read which article (for "already read" and co-view recommendations)
+const ArticleViewSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 1
+  },
+  lastViewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ArticleViewSchema.index({ article: 1, user: 1 }, { unique: true });
+ArticleViewSchema.index({ user: 1, lastViewedAt: -1 });
+// Reading history is kept for a year
+ArticleViewSchema.index({ lastViewedAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ArticleView', ArticleViewSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept even if the actor account is later deleted
+  actorEmail: {
+    type: String,
+    default: null
+  },
+  // "<entity>.<verb>", e.g. "article.update" or "order.status"
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: ['Article', 'Product', 'Order', 'Post', 'Comment', 'User', 'Session', 'Theme', 'BlockedTerm'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Only the changed fields for updates; the whole document for creations and deletions
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
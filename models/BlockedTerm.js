@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A word, phrase or link domain that holds community content for review
+const BlockedTermSchema = new mongoose.Schema({
+  // As entered, for display
+  term: {
+    type: String,
+    required: [true, 'الكلمة مطلوبة'],
+    trim: true,
+    maxlength: [100, 'الكلمة لا يمكن أن تتجاوز 100 حرف']
+  },
+  // Matching form: normalized tokens for words, bare domain for links
+  normalized: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['word', 'link'],
+    default: 'word'
+  },
+  language: {
+    type: String,
+    enum: ['ar', 'fr', 'darja', 'other'],
+    default: 'other'
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+BlockedTermSchema.index({ kind: 1, normalized: 1 }, { unique: true });
+
+module.exports = mongoose.model('BlockedTerm', BlockedTermSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const editable = require('./plugins/editable');
+const moderated = require('./plugins/moderated');
 
 const CommentSchema = new mongoose.Schema({
   content: {
@@ -12,26 +14,50 @@ const CommentSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'مؤلف التعليق مطلوب']
   },
-  post: {
+  // What the comment was written on: an article, a post or a product
+  targetType: {
+    type: String,
+    enum: ['Article', 'Post', 'Product'],
+    required: [true, 'نوع المحتوى مطلوب']
+  },
+  target: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Post',
-    required: [true, 'المنشور مطلوب']
+    refPath: 'targetType',
+    required: [true, 'المحتوى مطلوب']
   },
   parentComment: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment',
     default: null
   },
+  // Direct replies kept under this comment, held ones included
+  repliesCount: {
+    type: Number,
+    default: 0
+  },
   likes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  // A deleted comment that still has replies is kept as an empty placeholder
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
 }, {
   timestamps: true
 });
 
+CommentSchema.plugin(editable, { fields: ['content'] });
+CommentSchema.plugin(moderated);
+
 // Indexes
-CommentSchema.index({ post: 1 });
+CommentSchema.index({ targetType: 1, target: 1, parentComment: 1, createdAt: -1 });
+CommentSchema.index({ parentComment: 1, createdAt: 1 });
 CommentSchema.index({ author: 1 });
 CommentSchema.index({ createdAt: -1 });
 
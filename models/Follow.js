@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const FollowSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Follows of non-public profiles wait for the followed user's approval
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'pending'
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+FollowSchema.index({ follower: 1, following: 1 }, { unique: true });
+FollowSchema.index({ following: 1, status: 1, createdAt: -1 });
+FollowSchema.index({ follower: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', FollowSchema);
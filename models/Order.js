@@ -61,6 +61,16 @@ const OrderSchema = new mongoose.Schema({
     enum: ['pending', 'paid', 'failed'],
     default: 'pending'
   },
+  // Cash-on-delivery orders are confirmed by the customer's phone before shipping
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+  confirmationMethod: {
+    type: String,
+    enum: ['verified_phone', 'otp', null],
+    default: null
+  },
   notes: String
 }, {
   timestamps: true
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const OtpSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  phone: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['phone_verification', 'order_confirmation'],
+    required: true
+  },
+  // Document the code is bound to, e.g. the order being confirmed
+  reference: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sendCount: {
+    type: Number,
+    default: 1
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+OtpSchema.index({ user: 1, purpose: 1, reference: 1 }, { unique: true });
+// Keep expired codes around for an hour so send limits still apply, then drop them
+OtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+module.exports = mongoose.model('Otp', OtpSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const searchable = require('./plugins/searchable');
+const editable = require('./plugins/editable');
+const moderated = require('./plugins/moderated');
 
 const PostSchema = new mongoose.Schema({
   content: {
@@ -22,13 +25,25 @@ const PostSchema = new mongoose.Schema({
   commentsCount: {
     type: Number,
     default: 0
+  },
+  // Copy of the author's profile visibility, so feeds can leave out restricted
+  // authors without loading users (kept in step by syncAuthorVisibility)
+  authorVisibility: {
+    type: String,
+    enum: ['public', 'friends', 'private'],
+    default: 'public'
   }
 }, {
   timestamps: true
 });
 
+PostSchema.plugin(searchable, { title: 'content', body: [] });
+PostSchema.plugin(editable, { fields: ['content'] });
+PostSchema.plugin(moderated);
+
 // Indexes
 PostSchema.index({ author: 1 });
 PostSchema.index({ createdAt: -1 });
+PostSchema.index({ authorVisibility: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Post', PostSchema);
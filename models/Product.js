@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const searchable = require('./plugins/searchable');
 
 const ProductSchema = new mongoose.Schema({
   name: {
@@ -36,6 +37,10 @@ const ProductSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  commentsCount: {
+    type: Number,
+    default: 0
+  },
   tags: [{
     type: String,
     trim: true
@@ -44,11 +49,13 @@ const ProductSchema = new mongoose.Schema({
   timestamps: true
 });
 
+ProductSchema.plugin(searchable, { title: 'name', body: ['description'] });
+
 // Indexes
-ProductSchema.index({ name: 'text', description: 'text' });
 ProductSchema.index({ category: 1 });
 ProductSchema.index({ inStock: 1 });
 ProductSchema.index({ featured: 1 });
 ProductSchema.index({ createdAt: -1 });
+ProductSchema.index({ tags: 1 });
 
 module.exports = mongoose.model('Product', ProductSchema);
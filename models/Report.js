@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A member flagging a post, comment, article or user for the moderators
+const ReportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment', 'Article', 'User'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  // Author of the reported content (the user themselves for user reports)
+  targetAuthor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: ['harmful_advice', 'harassment', 'hate', 'spam', 'inappropriate', 'misinformation', 'other'],
+    required: [true, 'سبب الإبلاغ مطلوب']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'التفاصيل لا يمكن أن تتجاوز 500 حرف'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  // What the moderator did about it
+  resolution: {
+    actions: [{
+      type: String,
+      enum: ['remove_content', 'suspend_user']
+    }],
+    note: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+// One open report per member and target
+ReportSchema.index(
+  { reporter: 1, targetType: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+ReportSchema.index({ status: 1, targetType: 1, target: 1 });
+ReportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Report', ReportSchema);
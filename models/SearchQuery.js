@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One document per distinct (normalized) query typed in the search bar
+const SearchQuerySchema = new mongoose.Schema({
+  normalized: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The query as last typed, for display
+  query: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  zeroResultCount: {
+    type: Number,
+    default: 0
+  },
+  lastResultsCount: {
+    type: Number,
+    default: 0
+  },
+  lastSearchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+SearchQuerySchema.index({ count: -1 });
+SearchQuerySchema.index({ lastResultsCount: 1, count: -1 });
+SearchQuerySchema.index({ lastSearchedAt: -1 });
+
+module.exports = mongoose.model('SearchQuery', SearchQuerySchema);
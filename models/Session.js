@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the current refresh token; replaced on every rotation
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  // IP of the most recent request made with this session
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_change', 'password_reset', 'token_reuse', 'account_deletion', 'admin_logout', 'account_suspended', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+SessionSchema.index({ user: 1, revokedAt: 1 });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// A session can be used until it is revoked or expires
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES, permissionGranted, permissionsForRoles } = require('../config/roles');
+const searchable = require('./plugins/searchable');
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -31,6 +34,12 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Square WEBP renditions of the avatar; `avatar` points to the large one
+  avatarVariants: {
+    small: { type: String, default: null },
+    medium: { type: String, default: null },
+    large: { type: String, default: null }
+  },
   bio: {
     type: String,
     maxlength: [500, 'النبذة التعريفية لا يمكن أن تتجاوز 500 حرف'],
@@ -41,15 +50,70 @@ const UserSchema = new mongoose.Schema({
     maxlength: [100, 'الموقع لا يمكن أن يتجاوز 100 حرف'],
     default: ''
   },
+  // Kept in sync with `roles` for the frontend: true for any staff member
   isAdmin: {
     type: Boolean,
     default: false
   },
+  roles: [{
+    type: String,
+    enum: Object.keys(ROLES)
+  }],
   status: {
     type: String,
-    enum: ['active', 'suspended', 'banned'],
+    enum: ['active', 'suspended', 'banned', 'deleted'],
     default: 'active'
   },
+  // Moderation: why the account is suspended or banned, by whom, and until when
+  statusReason: {
+    type: String,
+    default: null
+  },
+  suspendedUntil: {
+    type: Date,
+    default: null
+  },
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  statusChangedAt: {
+    type: Date,
+    default: null
+  },
+  moderationHistory: [{
+    action: {
+      type: String,
+      enum: ['suspend', 'ban', 'reinstate', 'suspension_expired', 'force_logout', 'edit'],
+      required: true
+    },
+    reason: String,
+    until: Date,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    changes: [String],
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Self-service deletion: the account is anonymized once the grace period ends
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   emailVerified: {
     type: Boolean,
     default: false
@@ -96,19 +160,38 @@ const UserSchema = new mongoose.Schema({
     instagram: String,
     twitter: String
   },
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },
+    // Secret being enrolled, becomes `secret` once a first code is confirmed
+    pendingSecret: { type: String, default: null },
+    // Hashes of the unused recovery codes
+    backupCodes: [{ type: String }],
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: { type: Number, default: 0 },
+    enabledAt: { type: Date, default: null }
+  },
   resetPasswordToken: String,
   resetPasswordExpires: Date,
   emailVerificationToken: String,
-  emailVerificationExpires: Date
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date
 }, {
   timestamps: true,
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
+      delete ret.tokenVersion;
+      delete ret.twoFactor;
       delete ret.resetPasswordToken;
       delete ret.resetPasswordExpires;
       delete ret.emailVerificationToken;
       delete ret.emailVerificationExpires;
+      delete ret.emailVerificationSentAt;
       delete ret.loginAttempts;
       delete ret.lockedUntil;
       return ret;
@@ -116,13 +199,27 @@ const UserSchema = new mongoose.Schema({
   }
 });
 
+// Members can be found by name
+UserSchema.plugin(searchable, { title: 'name', body: [] });
+
 // Indexes
 UserSchema.index({ email: 1 });
 UserSchema.index({ phone: 1 });
 UserSchema.index({ isAdmin: 1 });
+UserSchema.index({ roles: 1 });
 UserSchema.index({ status: 1 });
 UserSchema.index({ createdAt: -1 });
 UserSchema.index({ lastLogin: -1 });
+UserSchema.index({ deletionScheduledFor: 1 });
+UserSchema.index({ status: 1, suspendedUntil: 1 });
+
+// Keep the legacy isAdmin flag in sync with roles
+UserSchema.pre('save', function(next) {
+  if (this.isModified('roles')) {
+    this.isAdmin = this.roles.length > 0;
+  }
+  next();
+});
 
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
@@ -151,6 +248,7 @@ UserSchema.methods.getPublicProfile = function() {
     _id: this._id,
     name: this.name,
     avatar: this.avatar,
+    avatarVariants: this.avatarVariants,
     bio: this.bio,
     location: this.location,
     stats: this.stats,
@@ -159,6 +257,20 @@ UserSchema.methods.getPublicProfile = function() {
   };
 };
 
+// Effective roles; admins created before roles existed count as super-admins
+UserSchema.methods.getRoles = function() {
+  if (this.roles && this.roles.length > 0) return [...this.roles];
+  return this.isAdmin ? ['super-admin'] : [];
+};
+
+UserSchema.methods.getPermissions = function() {
+  return permissionsForRoles(this.getRoles());
+};
+
+UserSchema.methods.hasPermission = function(permission) {
+  return permissionGranted(this.getPermissions(), permission);
+};
+
 // Find by email
 UserSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
@@ -184,6 +296,33 @@ UserSchema.methods.incLoginAttempts = function() {
   return this.updateOne(updates);
 };
 
+// Hash a one-time token before storing or looking it up
+UserSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a password reset token, store its hash and return the raw token
+UserSchema.methods.createPasswordResetToken = function(expiresInMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = this.constructor.hashToken(token);
+  this.resetPasswordExpires = new Date(Date.now() + expiresInMs);
+  return token;
+};
+
+// Generate an email verification token, store its hash and return the raw token
+UserSchema.methods.createEmailVerificationToken = function(expiresInMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + expiresInMs);
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
+// Invalidate every JWT issued before this call
+UserSchema.methods.revokeTokens = function() {
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
+};
+
 // Reset login attempts
 UserSchema.methods.resetLoginAttempts = function() {
   return this.updateOne({
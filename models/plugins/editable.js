@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// EDITABLE - "Edited" marker and the previous versions of user-written content
+// The history is for moderators only
+// ==========================================
+
+// options: { fields: ['content'] }
+module.exports = function editable(schema, { fields }) {
+  const versionFields = Object.fromEntries(fields.map(field => [field, mongoose.Schema.Types.Mixed]));
+
+  schema.add({
+    editedAt: {
+      type: Date,
+      default: null
+    },
+    editHistory: {
+      type: [new mongoose.Schema({
+        ...versionFields,
+        editedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        // When this version was replaced
+        replacedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }, { _id: false })],
+      select: false
+    }
+  });
+
+  // Also hidden from documents serialized right after an edit
+  const toJSON = schema.get('toJSON') || {};
+  schema.set('toJSON', {
+    ...toJSON,
+    transform(doc, ret, options) {
+      delete ret.editHistory;
+      return toJSON.transform ? toJSON.transform(doc, ret, options) : ret;
+    }
+  });
+
+  // Apply `changes` and keep the replaced version; load the document with +editHistory first
+  // Returns false when nothing actually changed
+  schema.methods.applyEdit = function(changes, editorId) {
+    const changed = fields.filter(field => changes[field] !== undefined && changes[field] !== this[field]);
+    if (changed.length === 0) return false;
+
+    const previous = Object.fromEntries(fields.map(field => [field, this[field]]));
+    this.editHistory.push({ ...previous, editedBy: editorId, replacedAt: new Date() });
+
+    changed.forEach(field => { this[field] = changes[field]; });
+    this.editedAt = new Date();
+    return true;
+  };
+};
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// MODERATED - Review state of community content
+// Only approved content is public; authors still see their own held content
+// ==========================================
+module.exports = function moderated(schema) {
+  schema.add({
+    moderationStatus: {
+      type: String,
+      enum: ['approved', 'pending', 'rejected'],
+      default: 'approved'
+    },
+    // Blocklist entries that held the content
+    moderationFlags: [{
+      type: String
+    }],
+    moderationReason: {
+      type: String,
+      default: null
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    moderatedAt: {
+      type: Date,
+      default: null
+    }
+  });
+
+  schema.index({ moderationStatus: 1, createdAt: -1 });
+};
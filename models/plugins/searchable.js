@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { normalizeForSearch } = require('../../utils/arabic');
+
+// ==========================================
+// SEARCHABLE - Normalized copies of a document's text for full-text search
+// search.title is weighted over search.tags, itself over search.body
+// ==========================================
+const stripHtml = (html) => String(html || '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ');
+
+// options: { title: 'title', body: ['excerpt', 'content'] }
+module.exports = function searchable(schema, { title, body }) {
+  schema.add({
+    search: {
+      type: new mongoose.Schema({
+        title: String,
+        tags: String,
+        body: String
+      }, { _id: false }),
+      // Internal: never sent back in API responses
+      select: false
+    }
+  });
+
+  // Also hidden from documents serialized right after a save
+  const toJSON = schema.get('toJSON') || {};
+  schema.set('toJSON', {
+    ...toJSON,
+    transform(doc, ret, options) {
+      delete ret.search;
+      return toJSON.transform ? toJSON.transform(doc, ret, options) : ret;
+    }
+  });
+
+  const sourceFields = [title, 'tags', ...body];
+
+  schema.methods.refreshSearchFields = function() {
+    this.search = {
+      title: normalizeForSearch(this[title]),
+      tags: normalizeForSearch((this.tags || []).join(' ')),
+      body: normalizeForSearch(body.map(field => stripHtml(this[field])).join(' '))
+    };
+  };
+
+  schema.pre('save', function() {
+    if (this.isNew || sourceFields.some(field => this.isModified(field))) {
+      this.refreshSearchFields();
+    }
+  });
+
+  schema.index(
+    { 'search.title': 'text', 'search.tags': 'text', 'search.body': 'text' },
+    {
+      name: 'search_text',
+      weights: { 'search.title': 10, 'search.tags': 5, 'search.body': 1 },
+      // Terms are already normalized; no language-specific stemming
+      default_language: 'none'
+    }
+  );
+};
+
+module.exports.stripHtml = stripHtml;
@@ -1,5 +1,10 @@
 const express = require('express');
 const router = express.Router();
+const { auth, requireVerified, requirePermission } = require('../middleware/auth');
+const { OtpError, requestOtp, verifyOtp } = require('../services/otp');
+const { isSamePhone, maskPhone } = require('../utils/phone');
+const { notify, ORDER_STATUS_LABELS } = require('../services/notifications');
+const { recordAudit } = require('../services/audit');
 
 console.log('✅ Loading Orders routes...');
 
@@ -11,15 +16,17 @@ router.get('/test', (req, res) => {
     });
 });
 
-// GET /api/orders - Get all orders (admin) or user orders
-router.get('/', async (req, res) => {
+// GET /api/orders - Get all orders (orders:view) or user orders
+router.get('/', auth, async (req, res) => {
     try {
         console.log('📦 Loading orders...');
         
         // Try to load Order model and auth middleware
         const Order = require('../models/Order');
+
+        const query = req.user.hasPermission('orders:view') ? {} : { user: req.userId };
         
-        const orders = await Order.find({})
+        const orders = await Order.find(query)
             .populate('items.product')
             .sort({ createdAt: -1 })
             .limit(50);
@@ -48,7 +55,7 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/orders/stats/dashboard - Get dashboard stats
-router.get('/stats/dashboard', async (req, res) => {
+router.get('/stats/dashboard', requirePermission('orders:view'), async (req, res) => {
     try {
         const Order = require('../models/Order');
         
@@ -85,14 +92,15 @@ router.get('/stats/dashboard', async (req, res) => {
 });
 
 // GET /api/orders/:id - Get single order
-router.get('/:id', async (req, res) => {
+router.get('/:id', auth, async (req, res) => {
     try {
         const Order = require('../models/Order');
         
         const order = await Order.findById(req.params.id)
             .populate('items.product');
 
-        if (!order) {
+        // Customers only see their own orders
+        if (!order || (!req.user.hasPermission('orders:view') && !order.user?.equals(req.userId))) {
             return res.status(404).json({ message: 'الطلب غير موجود' });
         }
 
@@ -105,7 +113,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/orders - Create new order
-router.post('/', async (req, res) => {
+router.post('/', auth, requireVerified('orders'), async (req, res) => {
     try {
         const Order = require('../models/Order');
         
@@ -113,11 +121,17 @@ router.post('/', async (req, res) => {
             customerInfo,
             items,
             totalPrice,
-            deliveryPrice
+            deliveryPrice,
+            paymentMethod,
+            notes
         } = req.body;
 
+        // Delivery details come as shippingAddress, or as customerInfo from older clients
+        const shipping = req.body.shippingAddress || customerInfo;
+        const totalAmount = req.body.totalAmount ?? totalPrice;
+
         // Validate required fields
-        if (!customerInfo || !items || !totalPrice) {
+        if (!shipping || !items || totalAmount === undefined) {
             return res.status(400).json({ 
                 message: 'معلومات الطلب غير مكتملة' 
             });
@@ -125,14 +139,31 @@ router.post('/', async (req, res) => {
 
         // Create order
         const order = new Order({
-            customerInfo,
+            user: req.userId,
             items,
-            totalPrice,
+            totalAmount,
+            shippingAddress: {
+                fullName: shipping.fullName || shipping.name,
+                phone: shipping.phone,
+                address: shipping.address,
+                city: shipping.city,
+                postalCode: shipping.postalCode
+            },
             deliveryPrice: deliveryPrice || 0,
+            paymentMethod,
+            notes,
             status: 'pending',
             orderNumber: `ORD-${Date.now()}`
         });
 
+        // A verified phone matching the delivery phone confirms cash orders right away
+        if (order.paymentMethod === 'cash' &&
+            req.user.phoneVerified &&
+            isSamePhone(order.shippingAddress?.phone, req.user.phone)) {
+            order.confirmedAt = new Date();
+            order.confirmationMethod = 'verified_phone';
+        }
+
         await order.save();
 
         console.log('✅ Order created:', order.orderNumber);
@@ -144,6 +175,9 @@ router.post('/', async (req, res) => {
         });
 
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: Object.values(error.errors)[0].message });
+        }
         console.error('❌ Create order error:', error);
         res.status(500).json({ 
             message: 'خطأ في إنشاء الطلب',
@@ -152,8 +186,119 @@ router.post('/', async (req, res) => {
     }
 });
 
+// POST /api/orders/:id/confirmation/request - Send a confirmation code for a cash order
+router.post('/:id/confirmation/request', auth, async (req, res) => {
+    try {
+        const Order = require('../models/Order');
+
+        const order = await Order.findOne({ _id: req.params.id, user: req.userId });
+
+        if (!order) {
+            return res.status(404).json({ message: 'الطلب غير موجود' });
+        }
+
+        if (order.confirmedAt) {
+            return res.status(400).json({ message: 'الطلب مؤكد مسبقاً', code: 'ORDER_ALREADY_CONFIRMED' });
+        }
+
+        const phone = order.shippingAddress?.phone;
+
+        // No code needed when the delivery phone is the user's verified phone
+        if (req.user.phoneVerified && isSamePhone(phone, req.user.phone)) {
+            order.confirmedAt = new Date();
+            order.confirmationMethod = 'verified_phone';
+            await order.save();
+
+            return res.json({
+                message: 'تم تأكيد الطلب برقم هاتفك المؤكد',
+                confirmed: true,
+                order
+            });
+        }
+
+        if (!phone) {
+            return res.status(400).json({ message: 'رقم هاتف التوصيل غير موجود' });
+        }
+
+        const result = await requestOtp({
+            userId: req.userId,
+            phone,
+            purpose: 'order_confirmation',
+            reference: order._id
+        });
+
+        res.json({
+            message: 'تم إرسال رمز تأكيد الطلب إلى هاتف التوصيل',
+            confirmed: false,
+            phone: maskPhone(result.phone),
+            expiresAt: result.expiresAt
+        });
+
+    } catch (error) {
+        if (error instanceof OtpError) {
+            return res.status(error.status).json({ message: error.message, code: error.code, ...error.extra });
+        }
+
+        console.error('❌ Request order confirmation error:', error);
+        res.status(500).json({
+            message: 'خطأ في إرسال رمز التأكيد',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/orders/:id/confirmation/verify - Confirm a cash order with the received code
+router.post('/:id/confirmation/verify', auth, async (req, res) => {
+    try {
+        const Order = require('../models/Order');
+
+        const order = await Order.findOne({ _id: req.params.id, user: req.userId });
+
+        if (!order) {
+            return res.status(404).json({ message: 'الطلب غير موجود' });
+        }
+
+        if (order.confirmedAt) {
+            return res.status(400).json({ message: 'الطلب مؤكد مسبقاً', code: 'ORDER_ALREADY_CONFIRMED' });
+        }
+
+        if (!req.body.code) {
+            return res.status(400).json({ message: 'رمز التأكيد مطلوب' });
+        }
+
+        await verifyOtp({
+            userId: req.userId,
+            purpose: 'order_confirmation',
+            reference: order._id,
+            code: req.body.code
+        });
+
+        order.confirmedAt = new Date();
+        order.confirmationMethod = 'otp';
+        await order.save();
+
+        console.log(`✅ Order ${order.orderNumber} confirmed by OTP`);
+
+        res.json({
+            message: 'تم تأكيد الطلب بنجاح',
+            order
+        });
+
+    } catch (error) {
+        if (error instanceof OtpError) {
+            return res.status(error.status).json({ message: error.message, code: error.code, ...error.extra });
+        }
+
+        console.error('❌ Verify order confirmation error:', error);
+        res.status(500).json({
+            message: 'خطأ في تأكيد الطلب',
+            error: error.message
+        });
+    }
+});
+
 // PATCH /api/orders/:id/status - Update order status
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', requirePermission('orders:update'), async (req, res) => {
     try {
         const Order = require('../models/Order');
         
@@ -165,8 +310,15 @@ router.patch('/:id/status', async (req, res) => {
             return res.status(404).json({ message: 'الطلب غير موجود' });
         }
 
+        if (status && !ORDER_STATUS_LABELS[status]) {
+            return res.status(400).json({ message: 'حالة الطلب غير صالحة' });
+        }
+
+        const previousStatus = order.status;
+        const previous = order.toObject();
+
         // Update order
-        order.status = status;
+        if (status) order.status = status;
         if (trackingNumber) order.trackingNumber = trackingNumber;
         if (notes) order.notes = notes;
 
@@ -174,6 +326,17 @@ router.patch('/:id/status', async (req, res) => {
 
         console.log(`✅ Order ${order.orderNumber} status updated to: ${status}`);
 
+        await recordAudit(req, { action: 'order.status', entityType: 'Order', before: previous, after: order });
+
+        if (order.user && order.status !== previousStatus) {
+            await notify({
+                recipient: order.user,
+                type: 'order_status',
+                order: order._id,
+                data: { orderNumber: order.orderNumber || order._id.toString().slice(-8).toUpperCase(), status: order.status, previousStatus }
+            });
+        }
+
         res.json({
             message: 'تم تحديث حالة الطلب بنجاح',
             order
@@ -189,7 +352,7 @@ router.patch('/:id/status', async (req, res) => {
 });
 
 // DELETE /api/orders/:id - Delete order
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('orders:delete'), async (req, res) => {
     try {
         const Order = require('../models/Order');
         
@@ -203,6 +366,8 @@ router.delete('/:id', async (req, res) => {
 
         console.log(`✅ Order ${order.orderNumber} deleted`);
 
+        await recordAudit(req, { action: 'order.delete', entityType: 'Order', before: order });
+
         res.json({
             message: 'تم حذف الطلب بنجاح'
         });
@@ -3,6 +3,53 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { requirePermission } = require('../middleware/auth');
+const { ROLES, PERMISSIONS } = require('../config/roles');
+const { recordAudit } = require('../services/audit');
+const {
+    ARTICLE_STATUSES,
+    ArticleStatusError,
+    defaultStatusFor,
+    applyStatus,
+    assertCanEditArticle
+} = require('../services/articleStatus');
+const { recordRevision } = require('../services/articleRevisions');
+const {
+    COMMENT_TARGET_TYPES,
+    removeComment,
+    deleteTargetComments,
+    attachTargetSummaries,
+    syncCommentCount,
+    notifyReply
+} = require('../services/comments');
+const {
+    MODERATED_TYPES,
+    ContentModerationError,
+    moderationModeFor,
+    normalizeBlockedTerm,
+    invalidateBlocklist,
+    reviewContent
+} = require('../services/contentModeration');
+const {
+    REPORT_REASONS,
+    REPORT_TARGET_TYPES,
+    ReportError,
+    permissionsForActions,
+    resolveReports,
+    dismissReports,
+    attachReportTargets
+} = require('../services/reports');
+const { listSessions, describeSession, revokeSession } = require('../services/sessions');
+const { authorVisibilityOf } = require('../services/relationships');
+const {
+    ModerationError,
+    assertCanModerate,
+    suspensionEndFrom,
+    suspendUser,
+    banUser,
+    reinstateUser,
+    forceLogout
+} = require('../services/userModeration');
 
 console.log('✅ Loading Admin routes...');
 
@@ -48,53 +95,12 @@ const upload = multer({
     }
 });
 
-// Authentication middleware (simple version)
-const adminAuth = async (req, res, next) => {
-    try {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        
-        if (!token) {
-            return res.status(401).json({ message: 'No token provided' });
-        }
-
-        // For development - simple token check
-        if (token === 'test-admin-token') {
-            req.user = {
-                id: '1',
-                email: 'mamanalgeriennepartenariat@gmail.com',
-                isAdmin: true
-            };
-            return next();
-        }
-
-        // Try JWT verification
-        try {
-            const jwt = require('jsonwebtoken');
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
-            req.user = decoded;
-            
-            // Check if user is admin
-            if (!req.user.isAdmin) {
-                return res.status(403).json({ message: 'Admin access required' });
-            }
-            
-            next();
-        } catch (jwtError) {
-            return res.status(401).json({ message: 'Invalid token' });
-        }
-        
-    } catch (error) {
-        console.error('Admin auth middleware error:', error);
-        res.status(500).json({ message: 'Auth error' });
-    }
-};
-
 // =================
 // DASHBOARD ROUTES
 // =================
 
 // GET /api/admin/dashboard - Get dashboard statistics
-router.get('/dashboard', adminAuth, async (req, res) => {
+router.get('/dashboard', requirePermission('dashboard:view'), async (req, res) => {
     try {
         console.log('📊 Loading admin dashboard...');
 
@@ -146,15 +152,25 @@ router.get('/dashboard', adminAuth, async (req, res) => {
             const today = new Date();
             const startOfWeek = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
 
-            const [pendingComments, newUsers] = await Promise.all([
-                Comment.countDocuments({ approved: false }),
-                User.countDocuments({ createdAt: { $gte: startOfWeek } })
+            const Report = require('../models/Report');
+
+            const [pendingComments, pendingPosts, openReports, newUsers, articlesInReview, scheduledArticles] = await Promise.all([
+                Comment.countDocuments({ moderationStatus: 'pending' }),
+                Post.countDocuments({ moderationStatus: 'pending' }),
+                Report.countDocuments({ status: 'open' }),
+                User.countDocuments({ createdAt: { $gte: startOfWeek } }),
+                Article.countDocuments({ status: 'in_review' }),
+                Article.countDocuments({ status: 'scheduled' })
             ]);
 
             stats = {
                 todayViews: Math.floor(Math.random() * 1000) + 500, // Placeholder
                 pendingComments: pendingComments,
+                pendingPosts,
+                openReports,
                 newUsersThisWeek: newUsers,
+                articlesInReview,
+                scheduledArticles,
                 popularCategory: 'حملي' // Placeholder
             };
 
@@ -180,8 +196,8 @@ router.get('/dashboard', adminAuth, async (req, res) => {
 // ARTICLES ROUTES
 // =================
 
-// GET /api/admin/articles - Get all articles
-router.get('/articles', adminAuth, async (req, res) => {
+// GET /api/admin/articles - Get all articles (?status=draft|in_review|scheduled|published|archived)
+router.get('/articles', requirePermission('articles:update'), async (req, res) => {
     try {
         const Article = require('../models/Article');
         
@@ -189,16 +205,31 @@ router.get('/articles', adminAuth, async (req, res) => {
         const limit = parseInt(req.query.limit) || 10;
         const skip = (page - 1) * limit;
 
-        const articles = await Article.find({})
-            .sort({ createdAt: -1 })
+        const query = {};
+        if (req.query.status) {
+            if (!ARTICLE_STATUSES.includes(req.query.status)) {
+                return res.status(400).json({ message: 'حالة المقال غير صالحة' });
+            }
+            query.status = req.query.status;
+        }
+
+        // Scheduled articles are easier to follow in publication order
+        const sort = req.query.status === 'scheduled' ? { publishAt: 1 } : { createdAt: -1 };
+
+        const articles = await Article.find(query)
+            .sort(sort)
             .skip(skip)
             .limit(limit)
             .populate('author', 'name email');
 
-        const total = await Article.countDocuments({});
+        const [total, statusCounts] = await Promise.all([
+            Article.countDocuments(query),
+            Article.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+        ]);
 
         res.json({
             articles,
+            statusCounts: Object.fromEntries(statusCounts.map(entry => [entry._id, entry.count])),
             pagination: {
                 current: page,
                 pages: Math.ceil(total / limit),
@@ -216,11 +247,11 @@ router.get('/articles', adminAuth, async (req, res) => {
 });
 
 // POST /api/admin/articles - Create article
-router.post('/articles', adminAuth, upload.array('images', 5), async (req, res) => {
+router.post('/articles', requirePermission('articles:create'), upload.array('images', 5), async (req, res) => {
     try {
         const Article = require('../models/Article');
         
-        const { title, category, excerpt, content, featured } = req.body;
+        const { title, category, excerpt, content, featured, status, publishAt } = req.body;
 
         const images = req.files ? req.files.map(file => file.filename) : [];
 
@@ -231,20 +262,26 @@ router.post('/articles', adminAuth, upload.array('images', 5), async (req, res)
             content,
             images,
             featured: featured === 'true',
-            author: req.user.id,
-            published: true
+            author: req.user.id
         });
 
-        await article.save();
+        applyStatus(article, { status: status || defaultStatusFor(req.user), publishAt }, req.user);
+        await article.saveWithSlug();
 
         console.log('✅ Article created:', title);
 
+        await recordRevision(article, null, req.userId);
+        await recordAudit(req, { action: 'article.create', entityType: 'Article', after: article });
+
         res.status(201).json({
             message: 'تم إنشاء المقال بنجاح',
             article
         });
 
     } catch (error) {
+        if (error instanceof ArticleStatusError) {
+            return res.status(error.status).json({ message: error.message });
+        }
         console.error('❌ Create article error:', error);
         res.status(500).json({ 
             message: 'خطأ في إنشاء المقال',
@@ -254,11 +291,11 @@ router.post('/articles', adminAuth, upload.array('images', 5), async (req, res)
 });
 
 // PUT /api/admin/articles/:id - Update article
-router.put('/articles/:id', adminAuth, upload.array('images', 5), async (req, res) => {
+router.put('/articles/:id', requirePermission('articles:update'), upload.array('images', 5), async (req, res) => {
     try {
         const Article = require('../models/Article');
         
-        const { title, category, excerpt, content, featured } = req.body;
+        const { title, category, excerpt, content, featured, status, publishAt } = req.body;
         const images = req.files ? req.files.map(file => file.filename) : [];
 
         const updateData = {
@@ -273,22 +310,39 @@ router.put('/articles/:id', adminAuth, upload.array('images', 5), async (req, re
             updateData.images = images;
         }
 
-        const article = await Article.findByIdAndUpdate(
-            req.params.id,
-            updateData,
-            { new: true }
-        );
+        const article = await Article.findById(req.params.id);
 
         if (!article) {
             return res.status(404).json({ message: 'المقال غير موجود' });
         }
 
+        assertCanEditArticle(article, req.user);
+
+        const previous = article.toObject();
+
+        // Saved through the document so the slug follows title changes
+        Object.entries(updateData).forEach(([field, value]) => {
+            if (value !== undefined) article[field] = value;
+        });
+
+        if (status || (publishAt && article.status === 'scheduled')) {
+            applyStatus(article, { status: status || article.status, publishAt }, req.user);
+        }
+
+        await article.saveWithSlug();
+
+        await recordRevision(article, previous, req.userId);
+        await recordAudit(req, { action: 'article.update', entityType: 'Article', before: previous, after: article });
+
         res.json({
             message: 'تم تحديث المقال بنجاح',
             article
         });
 
     } catch (error) {
+        if (error instanceof ArticleStatusError) {
+            return res.status(error.status).json({ message: error.message });
+        }
         console.error('❌ Update article error:', error);
         res.status(500).json({ 
             message: 'خطأ في تحديث المقال',
@@ -298,7 +352,7 @@ router.put('/articles/:id', adminAuth, upload.array('images', 5), async (req, re
 });
 
 // DELETE /api/admin/articles/:id - Delete article
-router.delete('/articles/:id', adminAuth, async (req, res) => {
+router.delete('/articles/:id', requirePermission('articles:delete'), async (req, res) => {
     try {
         const Article = require('../models/Article');
         
@@ -319,6 +373,12 @@ router.delete('/articles/:id', adminAuth, async (req, res) => {
         }
 
         await Article.findByIdAndDelete(req.params.id);
+        await require('../models/ArticleRevision').deleteMany({ article: article._id });
+        await require('../models/ArticleView').deleteMany({ article: article._id });
+        await require('../models/ArticleSimilarity').deleteMany({ article: article._id });
+        await deleteTargetComments('Article', article._id);
+
+        await recordAudit(req, { action: 'article.delete', entityType: 'Article', before: article });
 
         res.json({
             message: 'تم حذف المقال بنجاح'
@@ -338,7 +398,7 @@ router.delete('/articles/:id', adminAuth, async (req, res) => {
 // =================
 
 // GET /api/admin/products - Get all products
-router.get('/products', adminAuth, async (req, res) => {
+router.get('/products', requirePermission('products:update'), async (req, res) => {
     try {
         const Product = require('../models/Product');
         
@@ -372,7 +432,7 @@ router.get('/products', adminAuth, async (req, res) => {
 });
 
 // POST /api/admin/products - Create product
-router.post('/products', adminAuth, upload.array('images', 5), async (req, res) => {
+router.post('/products', requirePermission('products:create'), upload.array('images', 5), async (req, res) => {
     try {
         const Product = require('../models/Product');
         
@@ -406,6 +466,8 @@ router.post('/products', adminAuth, upload.array('images', 5), async (req, res)
 
         console.log('✅ Product created:', name);
 
+        await recordAudit(req, { action: 'product.create', entityType: 'Product', after: product });
+
         res.status(201).json({
             message: 'تم إنشاء المنتج بنجاح',
             product
@@ -421,7 +483,7 @@ router.post('/products', adminAuth, upload.array('images', 5), async (req, res)
 });
 
 // PUT /api/admin/products/:id - Update product
-router.put('/products/:id', adminAuth, upload.array('images', 5), async (req, res) => {
+router.put('/products/:id', requirePermission('products:update'), upload.array('images', 5), async (req, res) => {
     try {
         const Product = require('../models/Product');
         
@@ -454,6 +516,8 @@ router.put('/products/:id', adminAuth, upload.array('images', 5), async (req, re
             updateData.images = images;
         }
 
+        const previous = await Product.findById(req.params.id);
+
         const product = await Product.findByIdAndUpdate(
             req.params.id,
             updateData,
@@ -464,6 +528,8 @@ router.put('/products/:id', adminAuth, upload.array('images', 5), async (req, re
             return res.status(404).json({ message: 'المنتج غير موجود' });
         }
 
+        await recordAudit(req, { action: 'product.update', entityType: 'Product', before: previous, after: product });
+
         res.json({
             message: 'تم تحديث المنتج بنجاح',
             product
@@ -479,7 +545,7 @@ router.put('/products/:id', adminAuth, upload.array('images', 5), async (req, re
 });
 
 // DELETE /api/admin/products/:id - Delete product
-router.delete('/products/:id', adminAuth, async (req, res) => {
+router.delete('/products/:id', requirePermission('products:delete'), async (req, res) => {
     try {
         const Product = require('../models/Product');
         
@@ -500,6 +566,9 @@ router.delete('/products/:id', adminAuth, async (req, res) => {
         }
 
         await Product.findByIdAndDelete(req.params.id);
+        await deleteTargetComments('Product', product._id);
+
+        await recordAudit(req, { action: 'product.delete', entityType: 'Product', before: product });
 
         res.json({
             message: 'تم حذف المنتج بنجاح'
@@ -519,7 +588,7 @@ router.delete('/products/:id', adminAuth, async (req, res) => {
 // =================
 
 // GET /api/admin/posts - Get all posts
-router.get('/posts', adminAuth, async (req, res) => {
+router.get('/posts', requirePermission('posts:moderate'), async (req, res) => {
     try {
         const Post = require('../models/Post');
         
@@ -527,13 +596,18 @@ router.get('/posts', adminAuth, async (req, res) => {
         const limit = parseInt(req.query.limit) || 10;
         const skip = (page - 1) * limit;
 
-        const posts = await Post.find({})
+        const query = {};
+        if (['approved', 'pending', 'rejected'].includes(req.query.moderationStatus)) {
+            query.moderationStatus = req.query.moderationStatus;
+        }
+
+        const posts = await Post.find(query)
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limit)
             .populate('author', 'name email');
 
-        const total = await Post.countDocuments({});
+        const total = await Post.countDocuments(query);
 
         res.json({
             posts,
@@ -554,7 +628,7 @@ router.get('/posts', adminAuth, async (req, res) => {
 });
 
 // POST /api/admin/posts - Create post/ad
-router.post('/posts', adminAuth, upload.array('images', 5), async (req, res) => {
+router.post('/posts', requirePermission('ads:manage'), upload.array('images', 5), async (req, res) => {
     try {
         const Post = require('../models/Post');
         
@@ -573,6 +647,7 @@ router.post('/posts', adminAuth, upload.array('images', 5), async (req, res) =>
             },
             images,
             author: req.user.id,
+            authorVisibility: authorVisibilityOf(req.user),
             approved: true
         });
 
@@ -580,6 +655,8 @@ router.post('/posts', adminAuth, upload.array('images', 5), async (req, res) =>
 
         console.log('✅ Post created:', title);
 
+        await recordAudit(req, { action: 'post.create', entityType: 'Post', after: post });
+
         res.status(201).json({
             message: 'تم إنشاء الإعلان بنجاح',
             post
@@ -595,7 +672,7 @@ router.post('/posts', adminAuth, upload.array('images', 5), async (req, res) =>
 });
 
 // DELETE /api/admin/posts/:id - Delete post
-router.delete('/posts/:id', adminAuth, async (req, res) => {
+router.delete('/posts/:id', requirePermission('posts:moderate'), async (req, res) => {
     try {
         const Post = require('../models/Post');
         
@@ -616,6 +693,9 @@ router.delete('/posts/:id', adminAuth, async (req, res) => {
         }
 
         await Post.findByIdAndDelete(req.params.id);
+        await deleteTargetComments('Post', post._id);
+
+        await recordAudit(req, { action: 'post.delete', entityType: 'Post', before: post });
 
         res.json({
             message: 'تم حذف الإعلان بنجاح'
@@ -635,25 +715,38 @@ router.delete('/posts/:id', adminAuth, async (req, res) => {
 // =================
 
 // GET /api/admin/comments - Get all comments
-router.get('/comments', adminAuth, async (req, res) => {
+// ?targetType=Article|Post|Product and ?target=<id> narrow the list to some content
+router.get('/comments', requirePermission('comments:moderate'), async (req, res) => {
     try {
         const Comment = require('../models/Comment');
+        const mongoose = require('mongoose');
         
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 20;
         const skip = (page - 1) * limit;
 
-        const comments = await Comment.find({})
+        const query = {};
+        if (COMMENT_TARGET_TYPES.includes(req.query.targetType)) {
+            query.targetType = req.query.targetType;
+        }
+        if (req.query.target && mongoose.Types.ObjectId.isValid(req.query.target)) {
+            query.target = req.query.target;
+        }
+        if (['approved', 'pending', 'rejected'].includes(req.query.moderationStatus)) {
+            query.moderationStatus = req.query.moderationStatus;
+        }
+
+        const comments = await Comment.find(query)
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limit)
             .populate('author', 'name email')
-            .populate('targetId', 'title name');
+            .lean();
 
-        const total = await Comment.countDocuments({});
+        const total = await Comment.countDocuments(query);
 
         res.json({
-            comments,
+            comments: await attachTargetSummaries(comments),
             pagination: {
                 current: page,
                 pages: Math.ceil(total / limit),
@@ -670,53 +763,419 @@ router.get('/comments', adminAuth, async (req, res) => {
     }
 });
 
-// PATCH /api/admin/comments/:id/approve - Toggle comment approval
-router.patch('/comments/:id/approve', adminAuth, async (req, res) => {
+// PATCH /api/admin/comments/:id/approve - Approve a comment (same as the moderation queue)
+router.patch('/comments/:id/approve', requirePermission('comments:moderate'), (req, res) => {
+    reviewRoute('comments', 'approve')(req, res);
+});
+
+// DELETE /api/admin/comments/:id - Delete comment
+router.delete('/comments/:id', requirePermission('comments:moderate'), async (req, res) => {
     try {
         const Comment = require('../models/Comment');
         
         const comment = await Comment.findById(req.params.id);
         
-        if (!comment) {
+        if (!comment || comment.deleted) {
             return res.status(404).json({ message: 'التعليق غير موجود' });
         }
 
-        comment.approved = !comment.approved;
-        await comment.save();
+        await removeComment(comment);
+
+        await recordAudit(req, { action: 'comment.delete', entityType: 'Comment', before: comment });
 
         res.json({
-            message: comment.approved ? 'تم قبول التعليق' : 'تم إلغاء قبول التعليق',
-            comment
+            message: 'تم حذف التعليق بنجاح'
         });
 
     } catch (error) {
-        console.error('❌ Toggle comment approval error:', error);
+        console.error('❌ Delete comment error:', error);
         res.status(500).json({ 
-            message: 'خطأ في تغيير حالة التعليق',
+            message: 'خطأ في حذف التعليق',
             error: error.message 
         });
     }
 });
 
-// DELETE /api/admin/comments/:id - Delete comment
-router.delete('/comments/:id', adminAuth, async (req, res) => {
+// =================
+// MODERATION ROUTES
+// Posts and comments held for review (pre-moderation or blocklist matches)
+// =================
+
+const MODERATION_ENTITY_TYPES = { posts: 'Post', comments: 'Comment' };
+
+// Each content type is reviewed by whoever moderates it
+const requireModeratorOf = (req, res) => {
+    const config = MODERATED_TYPES[req.params.type || req.query.type || 'comments'];
+
+    if (!config) {
+        res.status(400).json({ message: 'نوع المحتوى غير صالح' });
+        return null;
+    }
+
+    if (!req.user.hasPermission(config.permission)) {
+        res.status(403).json({
+            message: 'ليس لديك صلاحية للقيام بهذا الإجراء',
+            code: 'PERMISSION_DENIED',
+            missing: [config.permission]
+        });
+        return null;
+    }
+
+    return config;
+};
+
+// GET /api/admin/moderation/queue?type=comments|posts&status=pending|rejected
+router.get('/moderation/queue', requirePermission('admin:access'), async (req, res) => {
     try {
-        const Comment = require('../models/Comment');
-        
-        const comment = await Comment.findByIdAndDelete(req.params.id);
-        
-        if (!comment) {
-            return res.status(404).json({ message: 'التعليق غير موجود' });
+        const config = requireModeratorOf(req, res);
+        if (!config) return;
+
+        const type = req.query.type || 'comments';
+        const Model = require(`../models/${config.model}`);
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const query = {
+            moderationStatus: req.query.status === 'rejected' ? 'rejected' : 'pending',
+            deleted: { $ne: true }
+        };
+
+        // Oldest first: the queue is worked through in order
+        const [items, total] = await Promise.all([
+            Model.find(query)
+                .sort({ createdAt: 1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('author', 'name email status')
+                .populate('moderatedBy', 'name')
+                .lean(),
+            Model.countDocuments(query)
+        ]);
+
+        res.json({
+            type,
+            mode: moderationModeFor(type),
+            items: type === 'comments' ? await attachTargetSummaries(items) : items,
+            pagination: {
+                current: page,
+                pages: Math.ceil(total / limit),
+                total
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get moderation queue error:', error);
+        res.status(500).json({ 
+            message: 'خطأ في جلب قائمة المراجعة',
+            error: error.message 
+        });
+    }
+});
+
+// Approve or reject a post or comment; rejecting needs { reason }
+const reviewRoute = (type, decision) => async (req, res) => {
+    try {
+        const { document, before, wasApproved } = await reviewContent(type, req.params.id, decision, req.user, req.body.reason);
+
+        if (type === 'comments') {
+            await syncCommentCount(document, wasApproved);
+
+            // Replies held at posting are announced once they are public
+            if (!wasApproved && decision === 'approve' && !before.moderatedAt) {
+                await notifyReply(document);
+            }
         }
 
+        const entityType = MODERATION_ENTITY_TYPES[type];
+        await recordAudit(req, {
+            action: `${entityType.toLowerCase()}.${decision}`,
+            entityType,
+            before,
+            after: document,
+            reason: req.body.reason
+        });
+
         res.json({
-            message: 'تم حذف التعليق بنجاح'
+            message: decision === 'approve' ? 'تمت الموافقة على المحتوى' : 'تم رفض المحتوى',
+            item: document
         });
 
     } catch (error) {
-        console.error('❌ Delete comment error:', error);
+        if (error instanceof ContentModerationError) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('❌ Content review error:', error);
         res.status(500).json({ 
-            message: 'خطأ في حذف التعليق',
+            message: 'خطأ في مراجعة المحتوى',
+            error: error.message 
+        });
+    }
+};
+
+// POST /api/admin/moderation/:type/:id/approve and /reject
+router.post('/moderation/:type/:id/:decision(approve|reject)', requirePermission('admin:access'), (req, res) => {
+    if (!requireModeratorOf(req, res)) return;
+    reviewRoute(req.params.type, req.params.decision)(req, res);
+});
+
+// GET /api/admin/moderation/blocklist - Words and link domains that hold content
+router.get('/moderation/blocklist', requirePermission('moderation:blocklist'), async (req, res) => {
+    try {
+        const BlockedTerm = require('../models/BlockedTerm');
+
+        const query = {};
+        if (['word', 'link'].includes(req.query.kind)) query.kind = req.query.kind;
+        if (req.query.language) query.language = req.query.language;
+
+        const terms = await BlockedTerm.find(query)
+            .sort({ createdAt: -1 })
+            .populate('addedBy', 'name')
+            .lean();
+
+        res.json({ terms });
+
+    } catch (error) {
+        console.error('❌ Get blocklist error:', error);
+        res.status(500).json({ 
+            message: 'خطأ في جلب قائمة الكلمات المحظورة',
+            error: error.message 
+        });
+    }
+});
+
+// POST /api/admin/moderation/blocklist - { term, kind: 'word'|'link', language: 'ar'|'fr'|'darja'|'other' }
+router.post('/moderation/blocklist', requirePermission('moderation:blocklist'), async (req, res) => {
+    try {
+        const BlockedTerm = require('../models/BlockedTerm');
+        const kind = req.body.kind === 'link' ? 'link' : 'word';
+        const normalized = normalizeBlockedTerm(kind, req.body.term);
+
+        if (!normalized) {
+            return res.status(400).json({ message: 'الكلمة مطلوبة' });
+        }
+
+        const blockedTerm = await BlockedTerm.create({
+            term: req.body.term,
+            normalized,
+            kind,
+            language: req.body.language,
+            addedBy: req.user._id
+        });
+
+        invalidateBlocklist();
+
+        await recordAudit(req, { action: 'blocklist.add', entityType: 'BlockedTerm', after: blockedTerm });
+
+        res.status(201).json({
+            message: 'تمت إضافة الكلمة إلى القائمة',
+            term: blockedTerm
+        });
+
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'هذه الكلمة موجودة في القائمة بالفعل' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: Object.values(error.errors)[0].message });
+        }
+        console.error('❌ Add blocked term error:', error);
+        res.status(500).json({ 
+            message: 'خطأ في إضافة الكلمة',
+            error: error.message 
+        });
+    }
+});
+
+// DELETE /api/admin/moderation/blocklist/:id
+router.delete('/moderation/blocklist/:id', requirePermission('moderation:blocklist'), async (req, res) => {
+    try {
+        const BlockedTerm = require('../models/BlockedTerm');
+
+        const blockedTerm = await BlockedTerm.findByIdAndDelete(req.params.id);
+
+        if (!blockedTerm) {
+            return res.status(404).json({ message: 'الكلمة غير موجودة' });
+        }
+
+        invalidateBlocklist();
+
+        await recordAudit(req, { action: 'blocklist.remove', entityType: 'BlockedTerm', before: blockedTerm });
+
+        res.json({ message: 'تم حذف الكلمة من القائمة' });
+
+    } catch (error) {
+        console.error('❌ Delete blocked term error:', error);
+        res.status(500).json({ 
+            message: 'خطأ في حذف الكلمة',
+            error: error.message 
+        });
+    }
+});
+
+// =================
+// REPORTS ROUTES
+// Member reports, grouped by reported target
+// =================
+
+// GET /api/admin/reports?status=open|resolved|dismissed&targetType=Post&reason=spam
+router.get('/reports', requirePermission('reports:review'), async (req, res) => {
+    try {
+        const Report = require('../models/Report');
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const match = {
+            status: ['resolved', 'dismissed'].includes(req.query.status) ? req.query.status : 'open'
+        };
+        if (REPORT_TARGET_TYPES.includes(req.query.targetType)) match.targetType = req.query.targetType;
+        if (REPORT_REASONS[req.query.reason]) match.reason = req.query.reason;
+
+        // Most reported first
+        const [entries, totals] = await Promise.all([
+            Report.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: { targetType: '$targetType', target: '$target' },
+                        targetAuthor: { $first: '$targetAuthor' },
+                        reportsCount: { $sum: 1 },
+                        reasons: { $push: '$reason' },
+                        firstReportedAt: { $min: '$createdAt' },
+                        lastReportedAt: { $max: '$createdAt' }
+                    }
+                },
+                { $sort: { reportsCount: -1, lastReportedAt: -1 } },
+                { $skip: skip },
+                { $limit: limit }
+            ]),
+            Report.aggregate([
+                { $match: match },
+                { $group: { _id: { targetType: '$targetType', target: '$target' } } },
+                { $count: 'total' }
+            ])
+        ]);
+
+        const User = require('../models/User');
+        const authors = await User.find({ _id: { $in: entries.map(entry => entry.targetAuthor).filter(Boolean) } })
+            .select('name email status')
+            .lean();
+        const authorsById = new Map(authors.map(author => [author._id.toString(), author]));
+
+        const items = await attachReportTargets(entries.map(entry => ({
+            targetType: entry._id.targetType,
+            target: entry._id.target,
+            targetAuthor: entry.targetAuthor ? authorsById.get(entry.targetAuthor.toString()) || null : null,
+            reportsCount: entry.reportsCount,
+            // { harassment: 2, spam: 1 }
+            reasons: entry.reasons.reduce((counts, reason) => ({ ...counts, [reason]: (counts[reason] || 0) + 1 }), {}),
+            firstReportedAt: entry.firstReportedAt,
+            lastReportedAt: entry.lastReportedAt
+        })));
+
+        const total = totals[0] ? totals[0].total : 0;
+
+        res.json({
+            items,
+            reasons: REPORT_REASONS,
+            pagination: {
+                current: page,
+                pages: Math.ceil(total / limit),
+                total
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get reports error:', error);
+        res.status(500).json({ 
+            message: 'خطأ في جلب البلاغات',
+            error: error.message 
+        });
+    }
+});
+
+// GET /api/admin/reports/:targetType/:targetId - Every report filed about one target
+router.get('/reports/:targetType/:targetId', requirePermission('reports:review'), async (req, res) => {
+    try {
+        const Report = require('../models/Report');
+        const mongoose = require('mongoose');
+
+        if (!REPORT_TARGET_TYPES.includes(req.params.targetType)) {
+            return res.status(400).json({ message: 'نوع المحتوى غير صالح' });
+        }
+        if (!mongoose.Types.ObjectId.isValid(req.params.targetId)) {
+            return res.status(404).json({ message: 'المحتوى غير موجود' });
+        }
+
+        const reports = await Report.find({ targetType: req.params.targetType, target: req.params.targetId })
+            .sort({ createdAt: -1 })
+            .populate('reporter', 'name email')
+            .populate('resolution.by', 'name')
+            .lean();
+
+        const [item] = await attachReportTargets([{ targetType: req.params.targetType, target: req.params.targetId }]);
+
+        res.json({
+            target: item.targetDocument,
+            reports
+        });
+
+    } catch (error) {
+        console.error('❌ Get target reports error:', error);
+        res.status(500).json({ 
+            message: 'خطأ في جلب البلاغات',
+            error: error.message 
+        });
+    }
+});
+
+// POST /api/admin/reports/:targetType/:targetId/resolve - { actions: ['remove_content', 'suspend_user'], note, until|days }
+// POST /api/admin/reports/:targetType/:targetId/dismiss - { note }
+router.post('/reports/:targetType/:targetId/:decision(resolve|dismiss)', requirePermission('reports:review'), async (req, res) => {
+    try {
+        const { targetType, targetId, decision } = req.params;
+
+        if (!REPORT_TARGET_TYPES.includes(targetType)) {
+            return res.status(400).json({ message: 'نوع المحتوى غير صالح' });
+        }
+
+        const actions = decision === 'resolve' ? [].concat(req.body.actions || []) : [];
+        const missing = permissionsForActions(targetType, actions).filter(permission => !req.user.hasPermission(permission));
+        if (missing.length > 0) {
+            return res.status(403).json({
+                message: 'ليس لديك صلاحية للقيام بهذا الإجراء',
+                code: 'PERMISSION_DENIED',
+                missing
+            });
+        }
+
+        const count = decision === 'resolve'
+            ? await resolveReports(targetType, targetId, req.user, { ...req.body, actions })
+            : await dismissReports(targetType, targetId, req.user, req.body);
+
+        await recordAudit(req, {
+            action: `report.${decision}`,
+            entityType: targetType,
+            entityId: targetId,
+            after: { actions, reports: count },
+            reason: req.body.note
+        });
+
+        res.json({
+            message: decision === 'resolve' ? 'تمت معالجة البلاغات' : 'تم رفض البلاغات',
+            reports: count
+        });
+
+    } catch (error) {
+        if (error instanceof ReportError || error instanceof ModerationError) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('❌ Review reports error:', error);
+        res.status(500).json({ 
+            message: 'خطأ في معالجة البلاغات',
             error: error.message 
         });
     }
@@ -727,7 +1186,7 @@ router.delete('/comments/:id', adminAuth, async (req, res) => {
 // =================
 
 // GET /api/admin/orders - Get all orders
-router.get('/orders', adminAuth, async (req, res) => {
+router.get('/orders', requirePermission('orders:view'), async (req, res) => {
     try {
         const Order = require('../models/Order');
         
@@ -781,8 +1240,8 @@ router.get('/orders', adminAuth, async (req, res) => {
 // USERS ROUTES
 // =================
 
-// GET /api/admin/users - Get all users
-router.get('/users', adminAuth, async (req, res) => {
+// GET /api/admin/users - Get all users (?status=suspended to filter)
+router.get('/users', requirePermission('users:view'), async (req, res) => {
     try {
         const User = require('../models/User');
         
@@ -790,13 +1249,21 @@ router.get('/users', adminAuth, async (req, res) => {
         const limit = parseInt(req.query.limit) || 20;
         const skip = (page - 1) * limit;
 
-        const users = await User.find({})
-            .select('-password') // Exclude password field
+        const query = {};
+        if (req.query.status) {
+            if (!User.schema.path('status').enumValues.includes(req.query.status)) {
+                return res.status(400).json({ message: 'حالة الحساب غير صالحة' });
+            }
+            query.status = req.query.status;
+        }
+
+        const users = await User.find(query)
+            .select('-password -moderationHistory') // Exclude password field
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limit);
 
-        const total = await User.countDocuments({});
+        const total = await User.countDocuments(query);
 
         res.json({
             users,
@@ -816,6 +1283,343 @@ router.get('/users', adminAuth, async (req, res) => {
     }
 });
 
+// GET /api/admin/users/:id - User details with moderation history
+router.get('/users/:id', requirePermission('users:view'), async (req, res) => {
+    try {
+        const User = require('../models/User');
+
+        const user = await User.findById(req.params.id)
+            .select('-password')
+            .populate('statusChangedBy', 'name email')
+            .populate('moderationHistory.by', 'name email');
+
+        if (!user) {
+            return res.status(404).json({ message: 'المستخدم غير موجود' });
+        }
+
+        res.json({ user });
+
+    } catch (error) {
+        console.error('❌ Get user error:', error);
+        res.status(500).json({ 
+            message: 'خطأ في تحميل المستخدم',
+            error: error.message 
+        });
+    }
+});
+
+// Fields an admin may edit on a user's profile
+const ADMIN_EDITABLE_FIELDS = ['name', 'email', 'phone', 'bio', 'location', 'emailVerified', 'phoneVerified'];
+
+// PUT /api/admin/users/:id - Edit a user's profile
+router.put('/users/:id', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const User = require('../models/User');
+
+        const user = await User.findById(req.params.id);
+
+        if (!user || user.status === 'deleted') {
+            return res.status(404).json({ message: 'المستخدم غير موجود' });
+        }
+
+        if (!user._id.equals(req.userId)) {
+            assertCanModerate(req.user, user);
+        }
+
+        const changes = ADMIN_EDITABLE_FIELDS.filter(field =>
+            req.body[field] !== undefined && req.body[field] !== user[field]
+        );
+
+        if (changes.length === 0) {
+            return res.status(400).json({ message: 'لا توجد تغييرات' });
+        }
+
+        if (changes.includes('email')) {
+            const taken = await User.findOne({ email: String(req.body.email).toLowerCase(), _id: { $ne: user._id } });
+            if (taken) {
+                return res.status(400).json({ message: 'البريد الإلكتروني مستخدم بالفعل' });
+            }
+        }
+
+        if (changes.includes('phone')) {
+            const taken = await User.findOne({ phone: req.body.phone, _id: { $ne: user._id } });
+            if (taken) {
+                return res.status(400).json({ message: 'رقم الهاتف مستخدم بالفعل' });
+            }
+        }
+
+        const previous = user.toObject();
+
+        changes.forEach(field => {
+            user[field] = req.body[field];
+        });
+
+        // A new address or number has not been verified yet, unless the admin says so explicitly
+        if (changes.includes('email') && req.body.emailVerified === undefined) {
+            user.emailVerified = false;
+        }
+        if (changes.includes('phone') && req.body.phoneVerified === undefined) {
+            user.phoneVerified = false;
+        }
+
+        user.moderationHistory.push({
+            action: 'edit',
+            reason: req.body.reason ? String(req.body.reason).trim() : null,
+            changes,
+            by: req.userId
+        });
+
+        await user.save();
+
+        console.log(`✅ User ${user.email} edited by ${req.user.email}: ${changes.join(', ')}`);
+
+        await recordAudit(req, {
+            action: 'user.update',
+            entityType: 'User',
+            before: previous,
+            after: user,
+            reason: req.body.reason
+        });
+
+        res.json({
+            message: 'تم تحديث المستخدم بنجاح',
+            user
+        });
+
+    } catch (error) {
+        if (error instanceof ModerationError) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ 
+                message: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+        console.error('❌ Edit user error:', error);
+        res.status(500).json({ 
+            message: 'خطأ في تحديث المستخدم',
+            error: error.message 
+        });
+    }
+});
+
+// Wrap a moderation action: load the target, run it, audit it, answer with the new status
+const moderationRoute = (auditAction, action, successMessage) => async (req, res) => {
+    try {
+        const User = require('../models/User');
+
+        const user = await User.findById(req.params.id);
+
+        if (!user || user.status === 'deleted') {
+            return res.status(404).json({ message: 'المستخدم غير موجود' });
+        }
+
+        const previous = user.toObject();
+
+        await action(user, req.user, req.body);
+
+        await recordAudit(req, {
+            action: auditAction,
+            entityType: 'User',
+            before: previous,
+            after: user,
+            reason: req.body.reason
+        });
+
+        res.json({
+            message: successMessage,
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                status: user.status,
+                statusReason: user.statusReason,
+                suspendedUntil: user.suspendedUntil
+            }
+        });
+
+    } catch (error) {
+        if (error instanceof ModerationError) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('❌ User moderation error:', error);
+        res.status(500).json({ 
+            message: 'خطأ في تنفيذ الإجراء',
+            error: error.message 
+        });
+    }
+};
+
+// POST /api/admin/users/:id/suspend - Suspend until a date ({ reason, until } or { reason, days })
+router.post('/users/:id/suspend', requirePermission('users:manage'), moderationRoute(
+    'user.suspend',
+    (user, admin, body) => suspendUser(user, admin, { reason: body.reason, until: suspensionEndFrom(body) }),
+    'تم تعليق الحساب بنجاح'
+));
+
+// POST /api/admin/users/:id/ban - Ban a user ({ reason })
+router.post('/users/:id/ban', requirePermission('users:manage'), moderationRoute(
+    'user.ban',
+    (user, admin, body) => banUser(user, admin, { reason: body.reason }),
+    'تم حظر الحساب بنجاح'
+));
+
+// POST /api/admin/users/:id/reinstate - Lift a suspension or ban ({ reason })
+router.post('/users/:id/reinstate', requirePermission('users:manage'), moderationRoute(
+    'user.reinstate',
+    (user, admin, body) => reinstateUser(user, admin, { reason: body.reason }),
+    'تمت إعادة تفعيل الحساب بنجاح'
+));
+
+// POST /api/admin/users/:id/logout - Sign the user out of every device ({ reason })
+router.post('/users/:id/logout', requirePermission('users:manage'), moderationRoute(
+    'user.logout',
+    (user, admin, body) => forceLogout(user, admin, { reason: body.reason }),
+    'تم تسجيل خروج المستخدم من جميع الأجهزة'
+));
+
+// GET /api/admin/roles - Available roles and their permissions
+router.get('/roles', requirePermission('users:view'), (req, res) => {
+    res.json({
+        roles: Object.entries(ROLES).map(([name, role]) => ({
+            name,
+            label: role.label,
+            permissions: role.permissions
+        })),
+        permissions: PERMISSIONS
+    });
+});
+
+// PUT /api/admin/users/:id/roles - Replace a user's roles
+router.put('/users/:id/roles', requirePermission('users:roles'), async (req, res) => {
+    try {
+        const User = require('../models/User');
+
+        const roles = Array.isArray(req.body.roles) ? [...new Set(req.body.roles)] : null;
+
+        if (!roles) {
+            return res.status(400).json({ message: 'قائمة الأدوار مطلوبة' });
+        }
+
+        const unknownRoles = roles.filter(role => !ROLES[role]);
+        if (unknownRoles.length > 0) {
+            return res.status(400).json({ message: 'أدوار غير معروفة', unknownRoles });
+        }
+
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ message: 'المستخدم غير موجود' });
+        }
+
+        // Never leave the site without a super-admin
+        if (user.getRoles().includes('super-admin') && !roles.includes('super-admin')) {
+            const otherSuperAdmins = await User.countDocuments({
+                _id: { $ne: user._id },
+                $or: [
+                    { roles: 'super-admin' },
+                    { isAdmin: true, roles: { $in: [null, []] } }
+                ]
+            });
+
+            if (otherSuperAdmins === 0) {
+                return res.status(400).json({ message: 'لا يمكن إزالة آخر مدير عام' });
+            }
+        }
+
+        const previousRoles = user.getRoles();
+
+        user.roles = roles;
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'user.roles',
+            entityType: 'User',
+            entityId: user._id,
+            before: { roles: previousRoles },
+            after: { roles }
+        });
+
+        console.log(`✅ Roles of ${user.email} set to [${roles.join(', ')}] by ${req.user.email}`);
+
+        res.json({
+            message: 'تم تحديث الأدوار بنجاح',
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                isAdmin: user.isAdmin,
+                roles: user.getRoles(),
+                permissions: user.getPermissions()
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Update user roles error:', error);
+        res.status(500).json({ 
+            message: 'خطأ في تحديث الأدوار',
+            error: error.message 
+        });
+    }
+});
+
+// GET /api/admin/users/:id/sessions - Active sessions of a user
+router.get('/users/:id/sessions', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const sessions = await listSessions(req.params.id);
+
+        res.json({
+            sessions: sessions.map(session => describeSession(session))
+        });
+
+    } catch (error) {
+        console.error('❌ Get user sessions error:', error);
+        res.status(500).json({ 
+            message: 'خطأ في تحميل جلسات المستخدم',
+            error: error.message 
+        });
+    }
+});
+
+// DELETE /api/admin/users/:id/sessions/:sessionId - Revoke a user's session
+router.delete('/users/:id/sessions/:sessionId', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const Session = require('../models/Session');
+
+        const session = await Session.findOne({
+            _id: req.params.sessionId,
+            user: req.params.id,
+            revokedAt: null
+        });
+
+        if (!session) {
+            return res.status(404).json({ message: 'الجلسة غير موجودة' });
+        }
+
+        await revokeSession(session._id, 'logout');
+
+        await recordAudit(req, {
+            action: 'session.revoke',
+            entityType: 'Session',
+            entityId: session._id,
+            before: { user: session.user, ip: session.ip, userAgent: session.userAgent }
+        });
+
+        console.log(`✅ Session ${session._id} revoked by admin`);
+
+        res.json({
+            message: 'تم إنهاء الجلسة بنجاح'
+        });
+
+    } catch (error) {
+        console.error('❌ Revoke user session error:', error);
+        res.status(500).json({ 
+            message: 'خطأ في إنهاء الجلسة',
+            error: error.message 
+        });
+    }
+});
+
 // =================
 // THEME ROUTES
 // =================
@@ -869,7 +1673,7 @@ router.get('/theme', async (req, res) => {
 });
 
 // POST /api/admin/theme - Save theme
-router.post('/theme', adminAuth, async (req, res) => {
+router.post('/theme', requirePermission('theme:update'), async (req, res) => {
     try {
         const Theme = require('../models/Theme');
         
@@ -904,6 +1708,8 @@ router.post('/theme', adminAuth, async (req, res) => {
 
         console.log('✅ Theme saved successfully');
 
+        await recordAudit(req, { action: 'theme.update', entityType: 'Theme', after: theme });
+
         res.json({
             message: 'تم حفظ الألوان بنجاح',
             theme: {
@@ -931,7 +1737,7 @@ router.post('/theme', adminAuth, async (req, res) => {
 // =================
 
 // GET /api/admin/stats - Get detailed statistics
-router.get('/stats', adminAuth, async (req, res) => {
+router.get('/stats', requirePermission('stats:view'), async (req, res) => {
     try {
         let stats = {
             totalRevenue: 0,
@@ -992,4 +1798,113 @@ router.get('/stats', adminAuth, async (req, res) => {
     }
 });
 
+// =================
+// SEARCH ROUTES
+// =================
+
+// GET /api/admin/search/queries - What visitors search for (?zeroResults=true for searches that found nothing)
+router.get('/search/queries', requirePermission('stats:view'), async (req, res) => {
+    try {
+        const SearchQuery = require('../models/SearchQuery');
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const skip = (page - 1) * limit;
+        const days = parseInt(req.query.days) || 30;
+
+        const query = { lastSearchedAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } };
+        if (req.query.zeroResults === 'true') query.lastResultsCount = 0;
+
+        const [queries, total] = await Promise.all([
+            SearchQuery.find(query)
+                .sort({ count: -1 })
+                .skip(skip)
+                .limit(limit)
+                .select('-normalized'),
+            SearchQuery.countDocuments(query)
+        ]);
+
+        res.json({
+            queries,
+            pagination: {
+                current: page,
+                pages: Math.ceil(total / limit),
+                total
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get search queries error:', error);
+        res.status(500).json({ 
+            message: 'خطأ في تحميل عمليات البحث',
+            error: error.message 
+        });
+    }
+});
+
+// =================
+// AUDIT ROUTES
+// =================
+
+// GET /api/admin/audit - Audit log (?actor=&entityType=&entityId=&action=&from=&to=)
+router.get('/audit', requirePermission('audit:view'), async (req, res) => {
+    try {
+        const mongoose = require('mongoose');
+        const AuditLog = require('../models/AuditLog');
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const skip = (page - 1) * limit;
+        const { actor, entityType, entityId, action, from, to } = req.query;
+
+        const query = {};
+
+        for (const [field, value] of Object.entries({ actor, entityId })) {
+            if (!value) continue;
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+                return res.status(400).json({ message: 'معرف غير صالح' });
+            }
+            query[field] = value;
+        }
+
+        if (entityType) query.entityType = entityType;
+        if (action) query.action = action;
+
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (to) query.createdAt.$lte = new Date(to);
+
+            if (Object.values(query.createdAt).some(date => isNaN(date))) {
+                return res.status(400).json({ message: 'تاريخ غير صالح' });
+            }
+        }
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('actor', 'name email'),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.json({
+            entries,
+            pagination: {
+                current: page,
+                pages: Math.ceil(total / limit),
+                total
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get audit log error:', error);
+        res.status(500).json({ 
+            message: 'خطأ في تحميل سجل العمليات',
+            error: error.message 
+        });
+    }
+});
+
 module.exports = router;
@@ -6,7 +6,21 @@ const fs = require('fs');
 const mongoose = require('mongoose');
 
 // Import middleware
-const { auth, adminAuth, optionalAuth } = require('../middleware/auth');
+const { auth, optionalAuth, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const {
+  ArticleStatusError,
+  defaultStatusFor,
+  applyStatus,
+  assertCanEditArticle,
+  publicArticleFilter,
+  canPreviewArticle
+} = require('../services/articleStatus');
+const { recordRevision, diffRevisions, applyRevision } = require('../services/articleRevisions');
+const { searchDocuments } = require('../services/search');
+const { recordArticleView, getRelatedArticles } = require('../services/recommendations');
+const { deleteTargetComments } = require('../services/comments');
+const { targetComments } = require('./comments');
 
 // Ensure upload directory exists
 const uploadDir = './uploads/articles';
@@ -43,6 +57,8 @@ const upload = multer({
 
 // ==========================================
 // GET ALL ARTICLES
+// ?search= ranks by relevance and adds highlight { title, snippet } to each article
+// ?category= ?tags=a,b ?from= ?to= (publication date) ?featured=true
 // ==========================================
 router.get('/', optionalAuth, async (req, res) => {
   try {
@@ -50,39 +66,31 @@ router.get('/', optionalAuth, async (req, res) => {
     
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    const search = req.query.search;
-    const category = req.query.category;
-    const featured = req.query.featured;
+    const { search, category, tags, from, to, featured } = req.query;
     const sort = req.query.sort || '-createdAt';
 
     // Build query
-    const query = { published: true };
-
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } },
-        { excerpt: { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    if (category && category !== 'all') {
-      query.category = category;
-    }
+    const filter = publicArticleFilter();
 
     if (featured === 'true') {
-      query.featured = true;
+      filter.featured = true;
     }
 
-    const articles = await Article.find(query)
-      .populate('author', 'name avatar email')
-      .sort(sort)
-      .skip(skip)
-      .limit(limit)
-      .lean();
-
-    const total = await Article.countDocuments(query);
+    const { results: articles, total } = await searchDocuments(Article, {
+      q: search,
+      filter,
+      category,
+      tags,
+      from,
+      to,
+      titleField: 'title',
+      snippetFields: ['excerpt', 'content'],
+      dateField: 'publishedAt',
+      page,
+      limit,
+      sort,
+      populate: ['author', 'name avatar email']
+    });
 
     res.json({
       success: true,
@@ -103,6 +111,57 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+// ==========================================
+// GET SINGLE ARTICLE BY SLUG
+// Old slugs answer with a 301 to the current one
+// ==========================================
+router.get('/slug/:slug', optionalAuth, async (req, res) => {
+  try {
+    const Article = mongoose.model('Article');
+    const slug = req.params.slug.normalize('NFC');
+
+    const article = await Article.findOne({ slug })
+      .populate('author', 'name avatar email')
+      .lean();
+
+    if (!article) {
+      const renamed = await Article.findOne({ previousSlugs: slug }).select('slug status author').lean();
+
+      if (renamed && (renamed.status === 'published' || canPreviewArticle(renamed, req.user))) {
+        return res.redirect(301, `${req.baseUrl}/slug/${encodeURIComponent(renamed.slug)}`);
+      }
+    }
+
+    // Unpublished articles only exist for their author and the editorial team
+    if (!article || (article.status !== 'published' && !canPreviewArticle(article, req.user))) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'المقال غير موجود' 
+      });
+    }
+
+    // Increment views
+    if (article.status === 'published') {
+      await Article.findByIdAndUpdate(article._id, { 
+        $inc: { views: 1 } 
+      });
+      if (req.user) await recordArticleView(article._id, req.userId);
+    }
+
+    res.json({
+      success: true,
+      article
+    });
+  } catch (error) {
+    console.error('Get article by slug error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'خطأ في جلب المقال',
+      error: error.message
+    });
+  }
+});
+
 // ==========================================
 // GET SINGLE ARTICLE
 // ==========================================
@@ -114,7 +173,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
       .populate('author', 'name avatar email')
       .lean();
 
-    if (!article) {
+    // Unpublished articles only exist for their author and the editorial team
+    if (!article || (article.status !== 'published' && !canPreviewArticle(article, req.user))) {
       return res.status(404).json({ 
         success: false,
         message: 'المقال غير موجود' 
@@ -122,9 +182,12 @@ router.get('/:id', optionalAuth, async (req, res) => {
     }
 
     // Increment views
-    await Article.findByIdAndUpdate(req.params.id, { 
-      $inc: { views: 1 } 
-    });
+    if (article.status === 'published') {
+      await Article.findByIdAndUpdate(req.params.id, { 
+        $inc: { views: 1 } 
+      });
+      if (req.user) await recordArticleView(article._id, req.userId);
+    }
 
     res.json({
       success: true,
@@ -140,6 +203,47 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+// ==========================================
+// GET RELATED ARTICLES ("read next")
+// Logged-in readers don't get articles they already read
+// ==========================================
+router.get('/:id/related', optionalAuth, async (req, res) => {
+  try {
+    const Article = mongoose.model('Article');
+    const limit = Math.min(parseInt(req.query.limit) || 6, 20);
+
+    const article = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Article.findOne({ _id: req.params.id, ...publicArticleFilter() }).select('category tags').lean()
+      : null;
+
+    if (!article) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'المقال غير موجود' 
+      });
+    }
+
+    const articles = await getRelatedArticles(article, req.user, limit);
+
+    res.json({
+      success: true,
+      articles
+    });
+  } catch (error) {
+    console.error('Get related articles error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'خطأ في جلب المقالات ذات الصلة',
+      error: error.message
+    });
+  }
+});
+
+// ==========================================
+// ARTICLE COMMENTS
+// ==========================================
+router.use('/:id/comments', targetComments('Article'));
+
 // ==========================================
 // GET ARTICLES BY CATEGORY
 // ==========================================
@@ -153,7 +257,7 @@ router.get('/category/:category', optionalAuth, async (req, res) => {
 
     const articles = await Article.find({ 
       category: req.params.category, 
-      published: true 
+      ...publicArticleFilter()
     })
       .populate('author', 'name avatar email')
       .sort({ createdAt: -1 })
@@ -163,7 +267,7 @@ router.get('/category/:category', optionalAuth, async (req, res) => {
 
     const total = await Article.countDocuments({ 
       category: req.params.category, 
-      published: true 
+      ...publicArticleFilter()
     });
 
     res.json({
@@ -186,9 +290,9 @@ router.get('/category/:category', optionalAuth, async (req, res) => {
 });
 
 // ==========================================
-// CREATE ARTICLE (ADMIN ONLY) - FIXED
+// CREATE ARTICLE (articles:create) - FIXED
 // ==========================================
-router.post('/', adminAuth, upload.array('images', 5), async (req, res) => {
+router.post('/', requirePermission('articles:create'), upload.array('images', 5), async (req, res) => {
   try {
     const Article = mongoose.model('Article');
     
@@ -198,7 +302,7 @@ router.post('/', adminAuth, upload.array('images', 5), async (req, res) => {
     console.log('Body:', req.body);
     console.log('Files:', req.files ? req.files.length : 0);
 
-    const { title, content, excerpt, category, featured, tags } = req.body;
+    const { title, content, excerpt, category, featured, tags, status, publishAt } = req.body;
 
     // Validation
     if (!title || !content || !excerpt || !category) {
@@ -255,8 +359,7 @@ router.post('/', adminAuth, upload.array('images', 5), async (req, res) => {
       images,
       author: req.user._id, // ✅ FIXED: Use req.user._id from auth middleware
       featured: featured === 'true' || featured === true,
-      tags: tagsArray,
-      published: true
+      tags: tagsArray
     };
 
     console.log('Article data before save:', {
@@ -267,7 +370,11 @@ router.post('/', adminAuth, upload.array('images', 5), async (req, res) => {
     });
 
     const article = new Article(articleData);
-    await article.save();
+    applyStatus(article, { status: status || defaultStatusFor(req.user), publishAt }, req.user);
+    await article.saveWithSlug();
+
+    await recordRevision(article, null, req.user._id);
+    await recordAudit(req, { action: 'article.create', entityType: 'Article', after: article });
     
     // Populate author details
     await article.populate('author', 'name avatar email');
@@ -292,6 +399,10 @@ router.post('/', adminAuth, upload.array('images', 5), async (req, res) => {
       });
     }
 
+    if (error instanceof ArticleStatusError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
     res.status(500).json({ 
       success: false,
       message: 'خطأ في إنشاء المقال: ' + error.message,
@@ -301,13 +412,13 @@ router.post('/', adminAuth, upload.array('images', 5), async (req, res) => {
 });
 
 // ==========================================
-// UPDATE ARTICLE (ADMIN ONLY)
+// UPDATE ARTICLE (articles:update)
 // ==========================================
-router.put('/:id', adminAuth, upload.array('images', 5), async (req, res) => {
+router.put('/:id', requirePermission('articles:update'), upload.array('images', 5), async (req, res) => {
   try {
     const Article = mongoose.model('Article');
     
-    const { title, content, excerpt, category, featured, tags, removeImages } = req.body;
+    const { title, content, excerpt, category, featured, tags, removeImages, status, publishAt } = req.body;
 
     const article = await Article.findById(req.params.id);
     if (!article) {
@@ -326,12 +437,21 @@ router.put('/:id', adminAuth, upload.array('images', 5), async (req, res) => {
       });
     }
 
+    assertCanEditArticle(article, req.user);
+
+    const previous = article.toObject();
+
     // Update fields
     if (title) article.title = title.trim();
     if (content) article.content = content.trim();
     if (excerpt) article.excerpt = excerpt.trim();
     if (category) article.category = category;
     if (featured !== undefined) article.featured = featured === 'true' || featured === true;
+
+    // A new publishAt alone reschedules a scheduled article
+    if (status || (publishAt && article.status === 'scheduled')) {
+      applyStatus(article, { status: status || article.status, publishAt }, req.user);
+    }
     
     if (tags) {
       if (typeof tags === 'string') {
@@ -361,7 +481,11 @@ router.put('/:id', adminAuth, upload.array('images', 5), async (req, res) => {
       article.images = [...article.images, ...newImages];
     }
 
-    await article.save();
+    await article.saveWithSlug();
+
+    await recordRevision(article, previous, req.user._id);
+    await recordAudit(req, { action: 'article.update', entityType: 'Article', before: previous, after: article });
+
     await article.populate('author', 'name avatar email');
 
     res.json({
@@ -380,6 +504,10 @@ router.put('/:id', adminAuth, upload.array('images', 5), async (req, res) => {
         });
       });
     }
+
+    if (error instanceof ArticleStatusError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     
     res.status(500).json({ 
       success: false,
@@ -390,9 +518,226 @@ router.put('/:id', adminAuth, upload.array('images', 5), async (req, res) => {
 });
 
 // ==========================================
-// DELETE ARTICLE (ADMIN ONLY)
+// CHANGE ARTICLE STATUS (articles:update, articles:publish to go live)
 // ==========================================
-router.delete('/:id', adminAuth, async (req, res) => {
+router.patch('/:id/status', requirePermission('articles:update'), async (req, res) => {
+  try {
+    const Article = mongoose.model('Article');
+    const { status, publishAt } = req.body;
+
+    const article = await Article.findById(req.params.id);
+    if (!article) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'المقال غير موجود' 
+      });
+    }
+
+    const previous = article.toObject();
+
+    applyStatus(article, { status, publishAt }, req.user);
+    await article.save();
+
+    await recordAudit(req, { action: 'article.status', entityType: 'Article', before: previous, after: article });
+
+    res.json({
+      success: true,
+      message: 'تم تحديث حالة المقال',
+      article: {
+        _id: article._id,
+        status: article.status,
+        publishAt: article.publishAt,
+        publishedAt: article.publishedAt
+      }
+    });
+  } catch (error) {
+    if (error instanceof ArticleStatusError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Update article status error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'خطأ في تحديث حالة المقال',
+      error: error.message
+    });
+  }
+});
+
+// ==========================================
+// REVISIONS (articles:update)
+// ==========================================
+
+// Revisions are addressed by article id only (slugs are for reading articles)
+const requireArticleId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ 
+      success: false,
+      message: 'المقال غير موجود' 
+    });
+  }
+  next();
+};
+
+// List revisions, newest first (without their content)
+router.get('/:id/revisions', requirePermission('articles:update'), requireArticleId, async (req, res) => {
+  try {
+    const ArticleRevision = mongoose.model('ArticleRevision');
+
+    const revisions = await ArticleRevision.find({ article: req.params.id })
+      .select('-content -excerpt')
+      .populate('editor', 'name email')
+      .sort({ number: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      revisions
+    });
+  } catch (error) {
+    console.error('Get article revisions error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'خطأ في جلب سجل التعديلات',
+      error: error.message
+    });
+  }
+});
+
+// Diff between two revisions: ?from=2&to=5 (defaults: the one before `to`, and the latest)
+router.get('/:id/revisions/diff', requirePermission('articles:update'), requireArticleId, async (req, res) => {
+  try {
+    const ArticleRevision = mongoose.model('ArticleRevision');
+
+    const to = req.query.to
+      ? await ArticleRevision.findOne({ article: req.params.id, number: parseInt(req.query.to) }).lean()
+      : await ArticleRevision.findOne({ article: req.params.id }).sort({ number: -1 }).lean();
+
+    const fromNumber = req.query.from ? parseInt(req.query.from) : (to ? to.number - 1 : null);
+    const from = fromNumber
+      ? await ArticleRevision.findOne({ article: req.params.id, number: fromNumber }).lean()
+      : null;
+
+    if (!to || !from) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'النسخة المطلوبة غير موجودة' 
+      });
+    }
+
+    res.json({
+      success: true,
+      from: { number: from.number, createdAt: from.createdAt, editor: from.editor },
+      to: { number: to.number, createdAt: to.createdAt, editor: to.editor },
+      changes: diffRevisions(from, to)
+    });
+  } catch (error) {
+    console.error('Diff article revisions error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'خطأ في مقارنة النسخ',
+      error: error.message
+    });
+  }
+});
+
+// A single revision with its content
+router.get('/:id/revisions/:number', requirePermission('articles:update'), requireArticleId, async (req, res) => {
+  try {
+    const ArticleRevision = mongoose.model('ArticleRevision');
+
+    const revision = await ArticleRevision.findOne({
+      article: req.params.id,
+      number: parseInt(req.params.number)
+    })
+      .populate('editor', 'name email')
+      .lean();
+
+    if (!revision) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'النسخة المطلوبة غير موجودة' 
+      });
+    }
+
+    res.json({
+      success: true,
+      revision
+    });
+  } catch (error) {
+    console.error('Get article revision error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'خطأ في جلب النسخة',
+      error: error.message
+    });
+  }
+});
+
+// Make an older revision the current version (recorded as a new revision)
+router.post('/:id/revisions/:number/restore', requirePermission('articles:update'), requireArticleId, async (req, res) => {
+  try {
+    const Article = mongoose.model('Article');
+    const ArticleRevision = mongoose.model('ArticleRevision');
+
+    const article = await Article.findById(req.params.id);
+    if (!article) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'المقال غير موجود' 
+      });
+    }
+
+    const revision = await ArticleRevision.findOne({
+      article: article._id,
+      number: parseInt(req.params.number)
+    });
+
+    if (!revision) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'النسخة المطلوبة غير موجودة' 
+      });
+    }
+
+    assertCanEditArticle(article, req.user);
+
+    const previous = article.toObject();
+
+    applyRevision(article, revision);
+    await article.saveWithSlug();
+
+    const restored = await recordRevision(article, previous, req.user._id, { restoredFrom: revision.number });
+    await recordAudit(req, {
+      action: 'article.restore',
+      entityType: 'Article',
+      before: previous,
+      after: article,
+      reason: `revision ${revision.number}`
+    });
+
+    res.json({
+      success: true,
+      message: restored ? 'تمت استعادة النسخة بنجاح' : 'المقال مطابق لهذه النسخة بالفعل',
+      revision: restored ? restored.number : null,
+      article
+    });
+  } catch (error) {
+    if (error instanceof ArticleStatusError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Restore article revision error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'خطأ في استعادة النسخة',
+      error: error.message
+    });
+  }
+});
+
+// ==========================================
+// DELETE ARTICLE (articles:delete)
+// ==========================================
+router.delete('/:id', requirePermission('articles:delete'), async (req, res) => {
   try {
     const Article = mongoose.model('Article');
     
@@ -415,6 +760,12 @@ router.delete('/:id', adminAuth, async (req, res) => {
     }
 
     await Article.findByIdAndDelete(req.params.id);
+    await mongoose.model('ArticleRevision').deleteMany({ article: article._id });
+    await mongoose.model('ArticleView').deleteMany({ article: article._id });
+    await mongoose.model('ArticleSimilarity').deleteMany({ article: article._id });
+    await deleteTargetComments('Article', article._id);
+
+    await recordAudit(req, { action: 'article.delete', entityType: 'Article', before: article });
 
     res.json({ 
       success: true,
@@ -438,7 +789,7 @@ router.post('/:id/like', auth, async (req, res) => {
     const Article = mongoose.model('Article');
     
     const article = await Article.findById(req.params.id);
-    if (!article) {
+    if (!article || article.status !== 'published') {
       return res.status(404).json({ 
         success: false,
         message: 'المقال غير موجود' 
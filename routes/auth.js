@@ -1,11 +1,100 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const archiver = require('archiver');
+const multer = require('multer');
 const mongoose = require('mongoose');
-const { auth } = require('../middleware/auth');
+const { auth, optionalAuth, rateLimiter } = require('../middleware/auth');
+const {
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendVerificationEmail,
+  sendAccountDeletionScheduledEmail
+} = require('../services/emails');
+const { buildUserExport, exportFiles } = require('../services/accountData');
+const { AvatarError, processAvatar, removeAvatarFiles } = require('../services/avatars');
+const { OtpError, requestOtp, verifyOtp } = require('../services/otp');
+const { checkAccountStatus } = require('../services/userModeration');
+const { syncAuthorVisibility } = require('../services/relationships');
+const { normalizePhone, isSamePhone, maskPhone } = require('../utils/phone');
+const {
+  SessionError,
+  signAccessToken,
+  createSession,
+  findSessionByRefreshToken,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  describeSession
+} = require('../services/sessions');
+const {
+  TWO_FACTOR_ISSUER,
+  generateBackupCodes,
+  verifySecondFactor,
+  signChallenge,
+  verifyChallenge,
+  isTwoFactorRequired
+} = require('../services/twoFactor');
+const { generateSecret, verifyTotp, otpauthUri } = require('../utils/totp');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'maman-algerienne-secret-key-2024';
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
+const VERIFICATION_TOKEN_TTL_HOURS = parseInt(process.env.VERIFICATION_TOKEN_TTL_HOURS) || 24;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Avatars are kept in memory: the image is validated and re-encoded before anything is written
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+}).single('avatar');
+
+const handleAvatarUpload = (req, res, next) => {
+  avatarUpload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'حجم الصورة يجب ألا يتجاوز 5 ميغابايت' : 'خطأ في رفع الصورة',
+        code: 'INVALID_UPLOAD'
+      });
+    }
+    next();
+  });
+};
+
+// Final step of a login: record it, open a session and answer with the tokens
+const completeLogin = async (user, req, res) => {
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Open a session
+  const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
+
+  console.log('✅ Login successful for:', user.email);
+
+  res.json({
+    success: true,
+    message: 'تم تسجيل الدخول بنجاح',
+    token: accessToken,
+    refreshToken,
+    expiresIn,
+    // Staff who still have to enroll in 2FA before using the dashboard
+    twoFactorSetupRequired: isTwoFactorRequired(user) && !user.twoFactor.enabled,
+    // Pending self-service deletion the user can still cancel
+    deletionScheduledFor: user.deletionScheduledFor,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      isAdmin: user.isAdmin,
+      avatar: user.avatar,
+      emailVerified: user.emailVerified,
+      phoneVerified: user.phoneVerified
+    }
+  });
+};
 
 // ==========================================
 // REGISTER - Create new user account
@@ -59,27 +148,34 @@ router.post('/register', async (req, res) => {
       password // Will be hashed by the pre-save middleware
     });
 
+    const verificationToken = user.createEmailVerificationToken(VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+
     await user.save();
     console.log('✅ User registered:', user.email, 'ID:', user._id);
 
-    // Create token
-    const token = jwt.sign(
-      { userId: user._id },
-      JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    // A failed email must not block registration, the user can ask for a resend
+    sendVerificationEmail(user, verificationToken, VERIFICATION_TOKEN_TTL_HOURS).catch(err => {
+      console.error('❌ Verification email failed:', err);
+    });
+
+    // Open a session
+    const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'تم إنشاء الحساب بنجاح',
-      token,
+      token: accessToken,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         phone: user.phone,
         isAdmin: user.isAdmin,
-        avatar: user.avatar
+        avatar: user.avatar,
+        emailVerified: user.emailVerified,
+        phoneVerified: user.phoneVerified
       }
     });
 
@@ -153,50 +249,105 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Check account status
-    if (user.status !== 'active') {
-      return res.status(403).json({
-        success: false,
-        message: 'تم تعليق هذا الحساب'
-      });
+    // Check account status (expired suspensions are lifted here)
+    const blocked = await checkAccountStatus(user);
+    if (blocked) {
+      return res.status(403).json(blocked);
     }
 
     console.log('✅ Password matches');
 
+    // Second step required: hand out a short-lived challenge instead of tokens
+    // (login attempts are only reset once the second factor is verified)
+    if (user.twoFactor.enabled) {
+      console.log('🔐 Two-factor challenge issued for:', user.email);
+      return res.json({
+        success: true,
+        message: 'أدخلي رمز المصادقة الثنائية لإكمال تسجيل الدخول',
+        twoFactorRequired: true,
+        challengeToken: signChallenge(user)
+      });
+    }
+
     // Reset login attempts on successful login
     if (user.loginAttempts > 0) {
       await user.resetLoginAttempts();
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    await completeLogin(user, req, res);
+
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم',
+      error: error.message
+    });
+  }
+});
 
-    // Create token
-    const token = jwt.sign(
-      { userId: user._id },
-      JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+// ==========================================
+// LOGIN 2FA - Second step with an authenticator or recovery code
+// ==========================================
+router.post('/login/2fa', rateLimiter(10, 15 * 60 * 1000), async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const { challengeToken, code, backupCode } = req.body;
 
-    console.log('✅ Login successful for:', user.email);
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'رمز المصادقة الثنائية مطلوب'
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'تم تسجيل الدخول بنجاح',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        isAdmin: user.isAdmin,
-        avatar: user.avatar
-      }
-    });
+    const challenge = verifyChallenge(challengeToken);
+    const user = challenge ? await User.findById(challenge.userId) : null;
+
+    if (!user || (challenge.tv || 0) !== (user.tokenVersion || 0) || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'انتهت صلاحية جلسة تسجيل الدخول، يرجى إعادة المحاولة',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    if (user.isLocked()) {
+      return res.status(403).json({
+        success: false,
+        message: 'تم قفل الحساب مؤقتاً بسبب محاولات تسجيل دخول فاشلة متعددة'
+      });
+    }
+
+    const blocked = await checkAccountStatus(user);
+    if (blocked) {
+      return res.status(403).json(blocked);
+    }
+
+    const method = verifySecondFactor(user, { code, backupCode });
+
+    if (!method) {
+      console.log('❌ Invalid two-factor code for:', user.email);
+      await user.incLoginAttempts();
+
+      return res.status(400).json({
+        success: false,
+        message: 'رمز المصادقة الثنائية غير صحيح',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    if (method === 'backup') {
+      console.log(`🔐 Recovery code used by ${user.email}, ${user.twoFactor.backupCodes.length} left`);
+    }
+
+    user.loginAttempts = 0;
+    user.lockedUntil = null;
+
+    await completeLogin(user, req, res);
 
   } catch (error) {
-    console.error('❌ Login error:', error);
+    console.error('❌ Login 2FA error:', error);
     res.status(500).json({
       success: false,
       message: 'خطأ في الخادم',
@@ -206,26 +357,74 @@ router.post('/login', async (req, res) => {
 });
 
 // ==========================================
-// GET CURRENT USER
+// REFRESH - Rotate the refresh token
 // ==========================================
-router.get('/me', auth, async (req, res) => {
+router.post('/refresh', rateLimiter(60, 15 * 60 * 1000), async (req, res) => {
   try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'رمز التحديث مطلوب'
+      });
+    }
+
+    const tokens = await rotateSession(refreshToken, req);
+
     res.json({
       success: true,
-      user: {
-        id: req.user._id,
-        name: req.user.name,
-        email: req.user.email,
-        phone: req.user.phone,
-        isAdmin: req.user.isAdmin,
-        avatar: req.user.avatar,
-        bio: req.user.bio,
-        location: req.user.location,
-        stats: req.user.stats
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    });
+
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        ...error.extra
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// LOGOUT - End the current session
+// Works with the access token, or with the refresh token once the access token expired
+// ==========================================
+router.post('/logout', optionalAuth, async (req, res) => {
+  try {
+    let sessionId = req.authSession ? req.authSession._id : null;
+
+    if (!sessionId && req.body.refreshToken) {
+      try {
+        const { session } = await findSessionByRefreshToken(req.body.refreshToken);
+        sessionId = session._id;
+      } catch (sessionError) {
+        // Already revoked or expired: nothing left to do
       }
+    }
+
+    if (sessionId) {
+      await revokeSession(sessionId, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'تم تسجيل الخروج بنجاح'
     });
+
   } catch (error) {
-    console.error('Get user error:', error);
+    console.error('Logout error:', error);
     res.status(500).json({
       success: false,
       message: 'خطأ في الخادم'
@@ -234,47 +433,123 @@ router.get('/me', auth, async (req, res) => {
 });
 
 // ==========================================
-// UPDATE PROFILE
+// LOGOUT ALL - End every session of the user
 // ==========================================
-router.put('/profile', auth, async (req, res) => {
+router.post('/logout-all', auth, async (req, res) => {
   try {
     const User = mongoose.model('User');
-    const { name, phone, bio, location } = req.body;
 
     const user = await User.findById(req.userId);
-    
-    if (!user) {
+    user.revokeTokens();
+    await user.save();
+    await revokeAllSessions(user._id, 'logout_all');
+
+    console.log('✅ All sessions revoked for:', user.email);
+
+    res.json({
+      success: true,
+      message: 'تم تسجيل الخروج من جميع الأجهزة'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// SESSIONS - Devices the user is logged in on
+// ==========================================
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.userId);
+    const currentSessionId = req.authSession ? req.authSession._id : null;
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => describeSession(session, currentSessionId))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// Revoke one of the user's sessions (e.g. a device they do not recognize)
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const Session = mongoose.model('Session');
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(404).json({
         success: false,
-        message: 'المستخدم غير موجود'
+        message: 'الجلسة غير موجودة'
       });
     }
 
-    // Update fields
-    if (name) user.name = name.trim();
-    if (phone) user.phone = phone.trim();
-    if (bio !== undefined) user.bio = bio.trim();
-    if (location !== undefined) user.location = location.trim();
+    const session = await Session.findOne({ _id: req.params.id, user: req.userId, revokedAt: null });
 
-    await user.save();
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'الجلسة غير موجودة'
+      });
+    }
+
+    await revokeSession(session._id, 'logout');
+
+    console.log('✅ Session revoked by user:', session._id.toString());
 
     res.json({
       success: true,
-      message: 'تم تحديث الملف الشخصي بنجاح',
+      message: 'تم تسجيل الخروج من هذا الجهاز',
+      current: !!req.authSession && session._id.equals(req.authSession._id)
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// GET CURRENT USER
+// ==========================================
+router.get('/me', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
       user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        isAdmin: user.isAdmin,
-        avatar: user.avatar,
-        bio: user.bio,
-        location: user.location
+        id: req.user._id,
+        name: req.user.name,
+        email: req.user.email,
+        phone: req.user.phone,
+        isAdmin: req.user.isAdmin,
+        roles: req.user.getRoles(),
+        permissions: req.user.getPermissions(),
+        avatar: req.user.avatar,
+        emailVerified: req.user.emailVerified,
+        phoneVerified: req.user.phoneVerified,
+        twoFactorEnabled: req.user.twoFactor.enabled,
+        deletionScheduledFor: req.user.deletionScheduledFor,
+        bio: req.user.bio,
+        location: req.user.location,
+        preferences: req.user.preferences,
+        stats: req.user.stats
       }
     });
-
   } catch (error) {
-    console.error('Update profile error:', error);
+    console.error('Get user error:', error);
     res.status(500).json({
       success: false,
       message: 'خطأ في الخادم'
@@ -283,60 +558,408 @@ router.put('/profile', auth, async (req, res) => {
 });
 
 // ==========================================
-// CHANGE PASSWORD
+// EXPORT MY DATA - ZIP with data.json and uploaded files (?format=json for JSON only)
 // ==========================================
-router.put('/password', auth, async (req, res) => {
+router.get('/me/export', auth, rateLimiter(5, 60 * 60 * 1000), async (req, res) => {
   try {
-    const User = mongoose.model('User');
-    const { currentPassword, newPassword, confirmPassword } = req.body;
+    const data = await buildUserExport(req.userId);
+    const baseName = `maman-algerienne-data-${req.userId}`;
 
-    if (!currentPassword || !newPassword || !confirmPassword) {
-      return res.status(400).json({
-        success: false,
-        message: 'جميع الحقول مطلوبة'
-      });
+    console.log('📦 Data export for:', req.user.email);
+
+    if (req.query.format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}.json"`);
+      return res.json(data);
     }
 
-    if (newPassword !== confirmPassword) {
-      return res.status(400).json({
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.zip"`);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', (err) => {
+      console.error('Data export archive error:', err);
+      res.destroy(err);
+    });
+    archive.pipe(res);
+
+    archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+    exportFiles(data).forEach(file => {
+      archive.file(file.absolutePath, { name: file.url.replace(/^\/uploads\//, 'files/') });
+    });
+
+    await archive.finalize();
+
+  } catch (error) {
+    console.error('Data export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
         success: false,
-        message: 'كلمات المرور الجديدة غير متطابقة'
+        message: 'خطأ في تصدير البيانات'
       });
     }
+  }
+});
 
-    if (newPassword.length < 6) {
+// ==========================================
+// DELETE MY ACCOUNT - Scheduled after a grace period
+// ==========================================
+router.delete('/me', auth, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const user = await User.findById(req.userId);
+    const { password, code, backupCode } = req.body;
+
+    const isMatch = password && await bcrypt.compare(password, user.password);
+
+    if (!isMatch) {
       return res.status(400).json({
         success: false,
-        message: 'كلمة المرور يجب أن تكون 6 أحرف على الأقل'
+        message: 'كلمة المرور غير صحيحة'
       });
     }
 
-    const user = await User.findById(req.userId);
-    
-    if (!user) {
-      return res.status(404).json({
+    if (user.twoFactor.enabled && !verifySecondFactor(user, { code, backupCode })) {
+      return res.status(400).json({
         success: false,
-        message: 'المستخدم غير موجود'
+        message: 'رمز المصادقة الثنائية غير صحيح',
+        code: 'INVALID_TWO_FACTOR_CODE'
       });
     }
 
-    // Check current password
-    const isMatch = await bcrypt.compare(currentPassword, user.password);
-    
-    if (!isMatch) {
+    if (user.getRoles().length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'كلمة المرور الحالية غير صحيحة'
+        message: 'لا يمكن حذف حساب إداري، يرجى سحب الأدوار أولاً',
+        code: 'STAFF_ACCOUNT'
       });
     }
 
-    // Update password (will be hashed by pre-save middleware)
-    user.password = newPassword;
+    // Sign out everywhere; logging back in before the date lets the user cancel
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    user.revokeTokens();
     await user.save();
+    await revokeAllSessions(user._id, 'account_deletion');
 
-    res.json({
-      success: true,
-      message: 'تم تغيير كلمة المرور بنجاح'
+    console.log('🗑️ Account deletion scheduled for:', user.email, 'on', user.deletionScheduledFor.toISOString());
+
+    sendAccountDeletionScheduledEmail(user).catch(err => {
+      console.error('❌ Account deletion email failed:', err);
+    });
+
+    res.json({
+      success: true,
+      message: `سيتم حذف حسابك نهائياً خلال ${ACCOUNT_DELETION_GRACE_DAYS} يوماً، يمكنك إلغاء الطلب بتسجيل الدخول`,
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// Cancel a pending deletion during the grace period
+router.post('/me/cancel-deletion', auth, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const user = await User.findById(req.userId);
+
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'لا يوجد طلب حذف لهذا الحساب'
+      });
+    }
+
+    user.deletionRequestedAt = null;
+    user.deletionScheduledFor = null;
+    await user.save();
+
+    console.log('✅ Account deletion cancelled for:', user.email);
+
+    res.json({
+      success: true,
+      message: 'تم إلغاء طلب حذف الحساب'
+    });
+
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// UPDATE PROFILE
+// ==========================================
+router.put('/profile', auth, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const { name, phone, bio, location } = req.body;
+
+    const user = await User.findById(req.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود'
+      });
+    }
+
+    // Update fields
+    if (name) user.name = name.trim();
+    if (phone && !isSamePhone(phone, user.phone)) {
+      user.phone = phone.trim();
+      user.phoneVerified = false;
+    }
+    if (bio !== undefined) user.bio = bio.trim();
+    if (location !== undefined) user.location = location.trim();
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'تم تحديث الملف الشخصي بنجاح',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        isAdmin: user.isAdmin,
+        avatar: user.avatar,
+        bio: user.bio,
+        location: user.location
+      }
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// UPDATE PREFERENCES - Notifications and privacy
+// ==========================================
+const PREFERENCE_FIELDS = {
+  notifications: ['email', 'push', 'comments'],
+  privacy: ['showEmail', 'showPhone']
+};
+const PROFILE_VISIBILITIES = ['public', 'friends', 'private'];
+
+router.put('/preferences', auth, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const user = await User.findById(req.userId);
+    const { notifications = {}, privacy = {} } = req.body;
+    const changes = { notifications, privacy };
+
+    // Only known boolean flags are accepted
+    for (const [group, fields] of Object.entries(PREFERENCE_FIELDS)) {
+      for (const field of fields) {
+        const value = changes[group][field];
+        if (value === undefined) continue;
+
+        if (typeof value !== 'boolean') {
+          return res.status(400).json({
+            success: false,
+            message: `قيمة غير صالحة للإعداد ${group}.${field}`
+          });
+        }
+        user.preferences[group][field] = value;
+      }
+    }
+
+    let visibilityChanged = false;
+    if (privacy.profileVisibility !== undefined) {
+      if (!PROFILE_VISIBILITIES.includes(privacy.profileVisibility)) {
+        return res.status(400).json({
+          success: false,
+          message: 'قيمة غير صالحة لظهور الملف الشخصي'
+        });
+      }
+      visibilityChanged = privacy.profileVisibility !== user.preferences.privacy.profileVisibility;
+      user.preferences.privacy.profileVisibility = privacy.profileVisibility;
+    }
+
+    await user.save();
+
+    // Posts carry a copy of the visibility that feeds filter on
+    if (visibilityChanged) {
+      await syncAuthorVisibility(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'تم تحديث الإعدادات بنجاح',
+      preferences: user.preferences
+    });
+
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// AVATAR - Upload a new profile picture
+// ==========================================
+router.put('/avatar', auth, handleAvatarUpload, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'الصورة مطلوبة'
+      });
+    }
+
+    const variants = await processAvatar(req.file.buffer, req.userId);
+
+    const user = await User.findById(req.userId);
+    removeAvatarFiles(user);
+
+    user.avatar = variants.large;
+    user.avatarVariants = variants;
+    await user.save();
+
+    console.log('✅ Avatar updated for:', user.email);
+
+    res.json({
+      success: true,
+      message: 'تم تحديث الصورة الشخصية بنجاح',
+      avatar: user.avatar,
+      avatarVariants: variants
+    });
+
+  } catch (error) {
+    if (error instanceof AvatarError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: 'INVALID_IMAGE'
+      });
+    }
+
+    console.error('Update avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// AVATAR - Remove the profile picture
+// ==========================================
+router.delete('/avatar', auth, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const user = await User.findById(req.userId);
+
+    removeAvatarFiles(user);
+
+    user.avatar = null;
+    user.avatarVariants = { small: null, medium: null, large: null };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'تم حذف الصورة الشخصية'
+    });
+
+  } catch (error) {
+    console.error('Delete avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// CHANGE PASSWORD
+// ==========================================
+router.put('/password', auth, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+
+    if (!currentPassword || !newPassword || !confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'جميع الحقول مطلوبة'
+      });
+    }
+
+    if (newPassword !== confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'كلمات المرور الجديدة غير متطابقة'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'كلمة المرور يجب أن تكون 6 أحرف على الأقل'
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود'
+      });
+    }
+
+    // Check current password
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'كلمة المرور الحالية غير صحيحة'
+      });
+    }
+
+    // Update password (will be hashed by pre-save middleware)
+    // and sign out every other device
+    user.password = newPassword;
+    user.revokeTokens();
+    await user.save();
+
+    const currentSessionId = req.authSession ? req.authSession._id : null;
+    await revokeAllSessions(user._id, 'password_change', currentSessionId);
+
+    // The current device keeps its session but needs a token with the new version
+    let tokens;
+    if (req.authSession) {
+      tokens = { token: signAccessToken(user, req.authSession) };
+    } else {
+      const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
+      tokens = { token: accessToken, refreshToken, expiresIn };
+    }
+
+    res.json({
+      success: true,
+      message: 'تم تغيير كلمة المرور بنجاح',
+      ...tokens
     });
 
   } catch (error) {
@@ -348,4 +971,523 @@ router.put('/password', auth, async (req, res) => {
   }
 });
 
+// ==========================================
+// VERIFY EMAIL - Consume a verification token
+// ==========================================
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'رابط التأكيد غير صالح أو منتهي الصلاحية',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    console.log('✅ Email verified for:', user.email);
+
+    res.json({
+      success: true,
+      message: 'تم تأكيد البريد الإلكتروني بنجاح'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// RESEND VERIFICATION EMAIL
+// ==========================================
+router.post('/resend-verification', auth, rateLimiter(5, 60 * 60 * 1000), async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const user = await User.findById(req.userId);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'البريد الإلكتروني مؤكد مسبقاً',
+        code: 'EMAIL_ALREADY_VERIFIED'
+      });
+    }
+
+    const cooldownMs = VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000;
+    const sinceLastSend = user.emailVerificationSentAt ? Date.now() - user.emailVerificationSentAt.getTime() : Infinity;
+
+    if (sinceLastSend < cooldownMs) {
+      return res.status(429).json({
+        success: false,
+        message: 'يرجى الانتظار قبل طلب رسالة تأكيد جديدة',
+        code: 'RESEND_TOO_SOON',
+        retryAfter: Math.ceil((cooldownMs - sinceLastSend) / 1000)
+      });
+    }
+
+    const token = user.createEmailVerificationToken(VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+    await user.save();
+
+    await sendVerificationEmail(user, token, VERIFICATION_TOKEN_TTL_HOURS);
+
+    res.json({
+      success: true,
+      message: 'تم إرسال رسالة التأكيد إلى بريدك الإلكتروني'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// PHONE VERIFICATION - Request an OTP by SMS
+// ==========================================
+router.post('/phone/request-otp', auth, rateLimiter(10, 60 * 60 * 1000), async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const phone = normalizePhone(req.body.phone || req.user.phone);
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'رقم الهاتف مطلوب'
+      });
+    }
+
+    if (req.user.phoneVerified && isSamePhone(phone, req.user.phone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'رقم الهاتف مؤكد مسبقاً',
+        code: 'PHONE_ALREADY_VERIFIED'
+      });
+    }
+
+    // A number already verified by another account cannot be claimed
+    // (verified numbers are always stored normalized)
+    const takenByOther = await User.exists({
+      _id: { $ne: req.userId },
+      phone,
+      phoneVerified: true
+    });
+
+    if (takenByOther) {
+      return res.status(400).json({
+        success: false,
+        message: 'رقم الهاتف مستخدم في حساب آخر',
+        code: 'PHONE_IN_USE'
+      });
+    }
+
+    const result = await requestOtp({
+      userId: req.userId,
+      phone,
+      purpose: 'phone_verification'
+    });
+
+    res.json({
+      success: true,
+      message: 'تم إرسال رمز التحقق إلى هاتفك',
+      phone: maskPhone(result.phone),
+      expiresAt: result.expiresAt
+    });
+
+  } catch (error) {
+    if (error instanceof OtpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        ...error.extra
+      });
+    }
+
+    console.error('Request phone OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// PHONE VERIFICATION - Confirm the OTP
+// ==========================================
+router.post('/phone/verify-otp', auth, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'رمز التحقق مطلوب'
+      });
+    }
+
+    const otp = await verifyOtp({
+      userId: req.userId,
+      purpose: 'phone_verification',
+      code
+    });
+
+    const user = await User.findById(req.userId);
+    user.phone = otp.phone;
+    user.phoneVerified = true;
+    await user.save();
+
+    console.log('✅ Phone verified for:', user.email);
+
+    res.json({
+      success: true,
+      message: 'تم تأكيد رقم الهاتف بنجاح',
+      phone: user.phone,
+      phoneVerified: true
+    });
+
+  } catch (error) {
+    if (error instanceof OtpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        ...error.extra
+      });
+    }
+
+    console.error('Verify phone OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// TWO-FACTOR - Start enrollment
+// Returns the secret and an otpauth URI to show as a QR code
+// ==========================================
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const user = await User.findById(req.userId);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'المصادقة الثنائية مفعلة مسبقاً',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: otpauthUri(secret, user.email, TWO_FACTOR_ISSUER)
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// TWO-FACTOR - Confirm enrollment with a first code
+// ==========================================
+router.post('/2fa/enable', auth, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const user = await User.findById(req.userId);
+    const { code } = req.body;
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'يرجى بدء إعداد المصادقة الثنائية أولاً'
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'رمز المصادقة الثنائية غير صحيح',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.backupCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    console.log('✅ Two-factor enabled for:', user.email);
+
+    res.json({
+      success: true,
+      message: 'تم تفعيل المصادقة الثنائية، احتفظي برموز الاسترداد في مكان آمن',
+      backupCodes: codes
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// TWO-FACTOR - Disable (password and a code required)
+// ==========================================
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const user = await User.findById(req.userId);
+    const { password, code, backupCode } = req.body;
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'المصادقة الثنائية غير مفعلة'
+      });
+    }
+
+    const isMatch = password && await bcrypt.compare(password, user.password);
+
+    if (!isMatch || !verifySecondFactor(user, { code, backupCode })) {
+      return res.status(400).json({
+        success: false,
+        message: 'كلمة المرور أو رمز المصادقة الثنائية غير صحيح'
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = null;
+    user.twoFactor.backupCodes = [];
+    user.twoFactor.lastUsedStep = 0;
+    user.twoFactor.enabledAt = null;
+    await user.save();
+
+    console.log('⚠️ Two-factor disabled for:', user.email);
+
+    res.json({
+      success: true,
+      message: 'تم إلغاء تفعيل المصادقة الثنائية'
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// TWO-FACTOR - Regenerate recovery codes
+// ==========================================
+router.post('/2fa/backup-codes', auth, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const user = await User.findById(req.userId);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'المصادقة الثنائية غير مفعلة'
+      });
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'رمز المصادقة الثنائية غير صحيح',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.backupCodes = hashes;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'تم إنشاء رموز استرداد جديدة، الرموز القديمة لم تعد صالحة',
+      backupCodes: codes
+    });
+
+  } catch (error) {
+    console.error('2FA backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// FORGOT PASSWORD - Send a reset link by email
+// ==========================================
+router.post('/forgot-password', rateLimiter(5, 15 * 60 * 1000), async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'البريد الإلكتروني مطلوب'
+      });
+    }
+
+    // Same answer whether or not the account exists
+    const response = {
+      success: true,
+      message: 'إذا كان البريد الإلكتروني مسجلاً لدينا، ستصلك رسالة لإعادة تعيين كلمة المرور'
+    };
+
+    const user = await User.findByEmail(email.trim());
+
+    if (!user || user.status !== 'active') {
+      console.log('🔑 Password reset requested for unknown or inactive account:', email);
+      return res.json(response);
+    }
+
+    const token = user.createPasswordResetToken(RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+    await user.save();
+
+    try {
+      await sendPasswordResetEmail(user, token, RESET_TOKEN_TTL_MINUTES);
+    } catch (mailError) {
+      // Still the generic answer: an error here would reveal that the account exists
+      console.error('❌ Password reset email failed:', mailError);
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpires = undefined;
+      await user.save();
+
+      return res.json(response);
+    }
+
+    console.log('✅ Password reset email sent to:', user.email);
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
+// ==========================================
+// RESET PASSWORD - Consume a reset token
+// ==========================================
+router.post('/reset-password', rateLimiter(10, 15 * 60 * 1000), async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const { token, newPassword, confirmPassword } = req.body;
+
+    if (!token || !newPassword || !confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'جميع الحقول مطلوبة'
+      });
+    }
+
+    if (newPassword !== confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'كلمات المرور الجديدة غير متطابقة'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'كلمة المرور يجب أن تكون 6 أحرف على الأقل'
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(String(token)),
+      resetPasswordExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'رابط إعادة التعيين غير صالح أو منتهي الصلاحية',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    // Single use: clear the token, then revoke every existing session
+    user.password = newPassword;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    user.loginAttempts = 0;
+    user.lockedUntil = null;
+    user.emailVerified = true; // Following the emailed link proves ownership
+    user.revokeTokens();
+    await user.save();
+    await revokeAllSessions(user._id, 'password_reset');
+
+    console.log('✅ Password reset for:', user.email);
+
+    sendPasswordChangedEmail(user).catch(err => {
+      console.error('❌ Password changed email failed:', err);
+    });
+
+    res.json({
+      success: true,
+      message: 'تم تغيير كلمة المرور بنجاح، يمكنك الآن تسجيل الدخول'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'خطأ في الخادم'
+    });
+  }
+});
+
 module.exports = router;
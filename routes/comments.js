@@ -1,64 +1,289 @@
 // ==========================================
 // routes/comments.js
+// Comments on articles, posts and products. Each content router mounts
+// targetComments() at /:id/comments; /api/comments keeps the generic endpoints
+// Lists are threaded: top-level comments paginated, replies via /:id/replies
 // ==========================================
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const { auth, optionalAuth } = require('../middleware/auth');
+const { auth, optionalAuth, requireVerified, requirePermission } = require('../middleware/auth');
+const { notify, retract } = require('../services/notifications');
+const { screenContent, isVisibleContent } = require('../services/contentModeration');
+const { EditError, editableUntil, assertCanEdit, describeEditHistory } = require('../services/contentEdits');
+const {
+  COMMENT_TARGET_TYPES,
+  COMMENT_SORTS,
+  CommentError,
+  findCommentTarget,
+  listCommentLevel,
+  removeComment,
+  adjustCommentCount,
+  syncCommentCount,
+  notifyReply
+} = require('../services/comments');
 
-// GET comments for a post
-router.get('/:postId', optionalAuth, async (req, res) => {
+const handleCommentError = (res, error, message) => {
+  if (error instanceof CommentError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  if (error instanceof EditError) {
+    return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+  }
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+// ?page, ?limit and ?sort=newest|oldest|top
+const listOptions = (req, defaultSort) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+  const sort = COMMENT_SORTS[req.query.sort] ? req.query.sort : defaultSort;
+  return { page, limit, sort, viewer: req.user || null };
+};
+
+const paginationOf = ({ page, limit }, total) => ({
+  current: page,
+  pages: Math.ceil(total / limit),
+  total
+});
+
+// List the top-level comments of one piece of content, each with its reply count
+const listComments = async (req, res, targetType, targetId) => {
   try {
-    const Comment = mongoose.model('Comment');
-    const comments = await Comment.find({ post: req.params.postId })
-      .populate('author', 'name avatar')
-      .sort({ createdAt: -1 })
-      .lean();
+    await findCommentTarget(targetType, targetId, req.user);
+
+    const options = listOptions(req, 'newest');
+    const { comments, total } = await listCommentLevel({
+      targetType,
+      target: new mongoose.Types.ObjectId(targetId),
+      parentComment: null
+    }, options);
 
     res.json({
       success: true,
-      comments
+      comments,
+      sort: options.sort,
+      pagination: paginationOf(options, total)
     });
   } catch (error) {
-    res.status(500).json({ success: false, message: 'خطأ في جلب التعليقات', error: error.message });
+    handleCommentError(res, error, 'خطأ في جلب التعليقات');
   }
-});
+};
 
-// CREATE comment
-router.post('/', auth, async (req, res) => {
+// Comment on one piece of content, optionally replying to one of its comments
+const createComment = async (req, res, targetType, targetId) => {
   try {
     const Comment = mongoose.model('Comment');
-    const Post = mongoose.model('Post');
-    const { content, postId, parentCommentId } = req.body;
+    const { content, parentCommentId } = req.body;
 
     if (!content || !content.trim()) {
       return res.status(400).json({ success: false, message: 'محتوى التعليق مطلوب' });
     }
 
-    if (!postId) {
-      return res.status(400).json({ success: false, message: 'معرف المنشور مطلوب' });
+    await findCommentTarget(targetType, targetId, req.user);
+
+    let parentComment = null;
+    if (parentCommentId) {
+      parentComment = mongoose.Types.ObjectId.isValid(parentCommentId)
+        ? await Comment.findById(parentCommentId)
+        : null;
+
+      if (!parentComment || parentComment.deleted || parentComment.moderationStatus !== 'approved' ||
+        parentComment.targetType !== targetType || parentComment.target.toString() !== targetId.toString()) {
+        return res.status(404).json({ success: false, message: 'التعليق الأصلي غير موجود' });
+      }
     }
 
     const comment = new Comment({
       content: content.trim(),
       author: req.user._id,
-      post: postId,
-      parentComment: parentCommentId || null
+      targetType,
+      target: targetId,
+      parentComment: parentComment ? parentComment._id : null,
+      ...(await screenContent('comments', content, req.user))
     });
 
     await comment.save();
     await comment.populate('author', 'name avatar');
 
-    // Update post comment count
-    await Post.findByIdAndUpdate(postId, { $inc: { commentsCount: 1 } });
+    // Held replies still take their place in the thread
+    if (parentComment) {
+      await Comment.updateOne({ _id: parentComment._id }, { $inc: { repliesCount: 1 } });
+    }
+
+    const approved = comment.moderationStatus === 'approved';
+    if (approved) {
+      await adjustCommentCount(targetType, targetId, 1);
+      await notifyReply(comment);
+    }
 
     res.status(201).json({
       success: true,
-      message: 'تم إضافة التعليق بنجاح',
+      message: approved ? 'تم إضافة التعليق بنجاح' : 'تم إرسال تعليقك وسيظهر بعد مراجعته',
       comment
     });
   } catch (error) {
-    res.status(500).json({ success: false, message: 'خطأ في إضافة التعليق', error: error.message });
+    handleCommentError(res, error, 'خطأ في إضافة التعليق');
+  }
+};
+
+// Router for /api/<content>/:id/comments
+const targetComments = (targetType) => {
+  const targetRouter = express.Router({ mergeParams: true });
+
+  targetRouter.get('/', optionalAuth, (req, res) => listComments(req, res, targetType, req.params.id));
+  targetRouter.post('/', auth, requireVerified('comments'), (req, res) => createComment(req, res, targetType, req.params.id));
+
+  return targetRouter;
+};
+
+// GET replies to a comment, oldest first by default so conversations read in order
+router.get('/:id/replies', optionalAuth, async (req, res) => {
+  try {
+    const Comment = mongoose.model('Comment');
+
+    const parent = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Comment.findById(req.params.id).select('targetType target').lean()
+      : null;
+
+    if (!parent) {
+      return res.status(404).json({ success: false, message: 'التعليق غير موجود' });
+    }
+
+    await findCommentTarget(parent.targetType, parent.target, req.user);
+
+    const options = listOptions(req, 'oldest');
+    const { comments, total } = await listCommentLevel({ parentComment: parent._id }, options);
+
+    res.json({
+      success: true,
+      replies: comments,
+      sort: options.sort,
+      pagination: paginationOf(options, total)
+    });
+  } catch (error) {
+    handleCommentError(res, error, 'خطأ في جلب الردود');
+  }
+});
+
+// GET previous versions of an edited comment (moderators)
+router.get('/:id/history', requirePermission('comments:moderate'), async (req, res) => {
+  try {
+    const Comment = mongoose.model('Comment');
+
+    const comment = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Comment.findById(req.params.id).select('+editHistory').populate('editHistory.editedBy', 'name')
+      : null;
+
+    if (!comment) {
+      return res.status(404).json({ success: false, message: 'التعليق غير موجود' });
+    }
+
+    res.json({
+      success: true,
+      ...describeEditHistory(comment, ['content'])
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'خطأ في جلب سجل التعديلات', error: error.message });
+  }
+});
+
+// GET comments for a post (kept for existing clients, same as GET /api/posts/:id/comments)
+router.get('/:postId', optionalAuth, (req, res) => listComments(req, res, 'Post', req.params.postId));
+
+// CREATE comment: { targetType: 'article' | 'post' | 'product', targetId } or the older { postId }
+router.post('/', auth, requireVerified('comments'), (req, res) => {
+  const { postId, targetId } = req.body;
+  const requestedType = String(req.body.targetType || (postId ? 'Post' : '')).toLowerCase();
+  const targetType = COMMENT_TARGET_TYPES.find(type => type.toLowerCase() === requestedType);
+
+  if (!targetType || !(targetId || postId)) {
+    return res.status(400).json({ success: false, message: 'المحتوى المراد التعليق عليه مطلوب' });
+  }
+
+  createComment(req, res, targetType, targetId || postId);
+});
+
+// EDIT comment (author only, within the edit window)
+router.put('/:id', auth, requireVerified('comments'), async (req, res) => {
+  try {
+    const Comment = mongoose.model('Comment');
+    const { content } = req.body;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({ success: false, message: 'محتوى التعليق مطلوب' });
+    }
+
+    const comment = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Comment.findById(req.params.id).select('+editHistory')
+      : null;
+
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ success: false, message: 'التعليق غير موجود' });
+    }
+
+    assertCanEdit(comment, req.user);
+
+    const wasApproved = comment.moderationStatus === 'approved';
+    if (comment.applyEdit({ content: content.trim() }, req.user._id)) {
+      Object.assign(comment, await screenContent('comments', comment.content, req.user, comment));
+      await comment.save();
+      await syncCommentCount(comment, wasApproved);
+    }
+    await comment.populate('author', 'name avatar');
+
+    res.json({
+      success: true,
+      message: comment.moderationStatus === 'approved' ? 'تم تعديل التعليق بنجاح' : 'تم حفظ التعديل وسيظهر بعد مراجعته',
+      comment,
+      editableUntil: editableUntil(comment)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+    }
+    handleCommentError(res, error, 'خطأ في تعديل التعليق');
+  }
+});
+
+// LIKE/UNLIKE comment
+router.post('/:id/like', auth, async (req, res) => {
+  try {
+    const Comment = mongoose.model('Comment');
+
+    const comment = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Comment.findById(req.params.id)
+      : null;
+
+    if (!comment || comment.deleted || !isVisibleContent(comment, req.user)) {
+      return res.status(404).json({ success: false, message: 'التعليق غير موجود' });
+    }
+
+    await findCommentTarget(comment.targetType, comment.target, req.user);
+
+    // Atomic so two quick taps cannot add the same like twice
+    const isLiked = comment.likes.some(like => like.toString() === req.user._id.toString());
+    const updated = await Comment.findByIdAndUpdate(
+      comment._id,
+      isLiked ? { $pull: { likes: req.user._id } } : { $addToSet: { likes: req.user._id } },
+      { new: true, timestamps: false }
+    ).select('likes');
+
+    const notification = { recipient: comment.author, actor: req.user._id, type: 'comment_like', comment: comment._id };
+    if (isLiked) {
+      await retract(notification);
+    } else {
+      await notify(notification);
+    }
+
+    res.json({
+      success: true,
+      message: isLiked ? 'تم إلغاء الإعجاب' : 'تم الإعجاب بالتعليق',
+      likesCount: updated.likes.length,
+      isLiked: !isLiked
+    });
+  } catch (error) {
+    handleCommentError(res, error, 'خطأ في الإعجاب بالتعليق');
   }
 });
 
@@ -66,22 +291,19 @@ router.post('/', auth, async (req, res) => {
 router.delete('/:id', auth, async (req, res) => {
   try {
     const Comment = mongoose.model('Comment');
-    const Post = mongoose.model('Post');
     const comment = await Comment.findById(req.params.id);
     
-    if (!comment) {
+    if (!comment || comment.deleted) {
       return res.status(404).json({ success: false, message: 'التعليق غير موجود' });
     }
 
-    // Check if user owns the comment or is admin
-    if (comment.author.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+    // Check if user owns the comment or moderates comments
+    if (comment.author.toString() !== req.user._id.toString() && !req.user.hasPermission('comments:moderate')) {
       return res.status(403).json({ success: false, message: 'ليس لديك صلاحية لحذف هذا التعليق' });
     }
 
-    await Comment.findByIdAndDelete(req.params.id);
-
-    // Update post comment count
-    await Post.findByIdAndUpdate(comment.post, { $inc: { commentsCount: -1 } });
+    // Replies keep their place under a tombstone
+    await removeComment(comment);
 
     res.json({ success: true, message: 'تم حذف التعليق بنجاح' });
   } catch (error) {
@@ -90,3 +312,4 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 module.exports = router;
+module.exports.targetComments = targetComments;
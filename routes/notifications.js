@@ -0,0 +1,108 @@
+// ==========================================
+// routes/notifications.js - In-app notification center
+// ==========================================
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { auth } = require('../middleware/auth');
+const { countUnread } = require('../services/notifications');
+
+// GET my notifications (?unread=true for unread only)
+router.get('/', auth, async (req, res) => {
+  try {
+    const Notification = mongoose.model('Notification');
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+
+    const query = { recipient: req.userId };
+    if (req.query.unread === 'true') query.read = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate('actor', 'name avatar')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(query),
+      countUnread(req.userId)
+    ]);
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'خطأ في جلب الإشعارات', error: error.message });
+  }
+});
+
+// GET unread count only (for the badge)
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    res.json({ success: true, unreadCount: await countUnread(req.userId) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'خطأ في جلب الإشعارات', error: error.message });
+  }
+});
+
+// PATCH mark all my notifications as read
+router.patch('/read-all', auth, async (req, res) => {
+  try {
+    const Notification = mongoose.model('Notification');
+
+    const result = await Notification.updateMany(
+      { recipient: req.userId, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'تم تعليم جميع الإشعارات كمقروءة',
+      updated: result.modifiedCount,
+      unreadCount: 0
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'خطأ في تحديث الإشعارات', error: error.message });
+  }
+});
+
+// PATCH mark one notification as read
+router.patch('/:id/read', auth, async (req, res) => {
+  try {
+    const Notification = mongoose.model('Notification');
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'الإشعار غير موجود' });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.userId });
+
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'الإشعار غير موجود' });
+    }
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'تم تعليم الإشعار كمقروء',
+      unreadCount: await countUnread(req.userId)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'خطأ في تحديث الإشعار', error: error.message });
+  }
+});
+
+module.exports = router;
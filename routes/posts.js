@@ -6,7 +6,31 @@ const multer2 = require('multer');
 const path2 = require('path');
 const fs2 = require('fs');
 const mongoose2 = require('mongoose');
-const { auth: auth2, optionalAuth: optionalAuth2 } = require('../middleware/auth');
+const {
+  auth: auth2,
+  optionalAuth: optionalAuth2,
+  requireVerified: requireVerified2,
+  requirePermission: requirePermission2
+} = require('../middleware/auth');
+const {
+  authorVisibilityOf: authorVisibilityOf2,
+  visiblePostsFilter: visiblePostsFilter2,
+  canSeePostAuthor: canSeePostAuthor2
+} = require('../services/relationships');
+const { notify: notify2, retract: retract2 } = require('../services/notifications');
+const { deleteTargetComments: deleteTargetComments2 } = require('../services/comments');
+const { targetComments: targetComments2 } = require('./comments');
+const {
+  EditError: EditError2,
+  editableUntil: editableUntil2,
+  assertCanEdit: assertCanEdit2,
+  describeEditHistory: describeEditHistory2
+} = require('../services/contentEdits');
+const {
+  screenContent: screenContent2,
+  visibleContentFilter: visibleContentFilter2,
+  isVisibleContent: isVisibleContent2
+} = require('../services/contentModeration');
 
 // Ensure upload directory exists
 const uploadDir2 = './uploads/posts';
@@ -42,14 +66,18 @@ router2.get('/', optionalAuth2, async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const posts = await Post.find()
+    // Posts of friends-only and private profiles are hidden from other viewers,
+    // held posts from everyone but their author
+    const query = { $and: [visibleContentFilter2(req.user), await visiblePostsFilter2(req.user)] };
+
+    const posts = await Post.find(query)
       .populate('author', 'name avatar')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .lean();
 
-    const total = await Post.countDocuments();
+    const total = await Post.countDocuments(query);
 
     res.json({
       success: true,
@@ -66,7 +94,7 @@ router2.get('/', optionalAuth2, async (req, res) => {
 });
 
 // CREATE post
-router2.post('/', auth2, upload2.array('images', 5), async (req, res) => {
+router2.post('/', auth2, requireVerified2('posts'), upload2.array('images', 5), async (req, res) => {
   try {
     const Post = mongoose2.model('Post');
     const { content } = req.body;
@@ -80,7 +108,9 @@ router2.post('/', auth2, upload2.array('images', 5), async (req, res) => {
     const post = new Post({
       content: content.trim(),
       images,
-      author: req.user._id
+      author: req.user._id,
+      authorVisibility: authorVisibilityOf2(req.user),
+      ...(await screenContent2('posts', content, req.user))
     });
 
     await post.save();
@@ -88,7 +118,7 @@ router2.post('/', auth2, upload2.array('images', 5), async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'تم إنشاء المنشور بنجاح',
+      message: post.moderationStatus === 'approved' ? 'تم إنشاء المنشور بنجاح' : 'تم إرسال منشورك وسيظهر بعد مراجعته',
       post
     });
   } catch (error) {
@@ -96,13 +126,79 @@ router2.post('/', auth2, upload2.array('images', 5), async (req, res) => {
   }
 });
 
+// EDIT post (author only, within the edit window)
+router2.put('/:id', auth2, requireVerified2('posts'), async (req, res) => {
+  try {
+    const Post = mongoose2.model('Post');
+    const { content } = req.body;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({ success: false, message: 'محتوى المنشور مطلوب' });
+    }
+
+    const post = mongoose2.Types.ObjectId.isValid(req.params.id)
+      ? await Post.findById(req.params.id).select('+editHistory')
+      : null;
+
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'المنشور غير موجود' });
+    }
+
+    assertCanEdit2(post, req.user);
+
+    if (post.applyEdit({ content: content.trim() }, req.user._id)) {
+      Object.assign(post, await screenContent2('posts', post.content, req.user, post));
+      await post.save();
+    }
+    await post.populate('author', 'name avatar');
+
+    res.json({
+      success: true,
+      message: post.moderationStatus === 'approved' ? 'تم تعديل المنشور بنجاح' : 'تم حفظ التعديل وسيظهر بعد مراجعته',
+      post,
+      editableUntil: editableUntil2(post)
+    });
+  } catch (error) {
+    if (error instanceof EditError2) {
+      return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ success: false, message: 'خطأ في تعديل المنشور', error: error.message });
+  }
+});
+
+// GET previous versions of an edited post (moderators)
+router2.get('/:id/history', requirePermission2('posts:moderate'), async (req, res) => {
+  try {
+    const Post = mongoose2.model('Post');
+
+    const post = mongoose2.Types.ObjectId.isValid(req.params.id)
+      ? await Post.findById(req.params.id).select('+editHistory').populate('editHistory.editedBy', 'name')
+      : null;
+
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'المنشور غير موجود' });
+    }
+
+    res.json({
+      success: true,
+      ...describeEditHistory2(post, ['content'])
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'خطأ في جلب سجل التعديلات', error: error.message });
+  }
+});
+
 // LIKE post
 router2.post('/:id/like', auth2, async (req, res) => {
   try {
     const Post = mongoose2.model('Post');
     const post = await Post.findById(req.params.id);
     
-    if (!post) {
+    // Same rule as the feed: posts of restricted profiles do not exist for other viewers
+    if (!post || !isVisibleContent2(post, req.user) || !(await canSeePostAuthor2(post, req.user))) {
       return res.status(404).json({ success: false, message: 'المنشور غير موجود' });
     }
 
@@ -117,6 +213,13 @@ router2.post('/:id/like', auth2, async (req, res) => {
 
     await post.save();
 
+    const notification = { recipient: post.author, actor: req.user._id, type: 'post_like', post: post._id };
+    if (likeIndex > -1) {
+      await retract2(notification);
+    } else {
+      await notify2(notification);
+    }
+
     res.json({
       success: true,
       message: likeIndex > -1 ? 'تم إلغاء الإعجاب' : 'تم الإعجاب بالمنشور',
@@ -128,6 +231,9 @@ router2.post('/:id/like', auth2, async (req, res) => {
   }
 });
 
+// Comments on a post
+router2.use('/:id/comments', targetComments2('Post'));
+
 // DELETE post
 router2.delete('/:id', auth2, async (req, res) => {
   try {
@@ -138,12 +244,13 @@ router2.delete('/:id', auth2, async (req, res) => {
       return res.status(404).json({ success: false, message: 'المنشور غير موجود' });
     }
 
-    // Check if user owns the post or is admin
-    if (post.author.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+    // Check if user owns the post or moderates posts
+    if (post.author.toString() !== req.user._id.toString() && !req.user.hasPermission('posts:moderate')) {
       return res.status(403).json({ success: false, message: 'ليس لديك صلاحية لحذف هذا المنشور' });
     }
 
     await Post.findByIdAndDelete(req.params.id);
+    await deleteTargetComments2('Post', post._id);
 
     res.json({ success: true, message: 'تم حذف المنشور بنجاح' });
   } catch (error) {
@@ -6,7 +6,11 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const mongoose = require('mongoose');
-const { adminAuth, optionalAuth } = require('../middleware/auth');
+const { optionalAuth, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { searchDocuments } = require('../services/search');
+const { deleteTargetComments } = require('../services/comments');
+const { targetComments } = require('./comments');
 
 // Ensure upload directory exists
 const uploadDir = './uploads/products';
@@ -34,34 +38,29 @@ const upload = multer({
   }
 });
 
-// GET all products
+// GET all products (?search= ranked with highlights, ?category= ?tags=a,b ?from= ?to= ?featured=true)
 router.get('/', optionalAuth, async (req, res) => {
   try {
     const Product = mongoose.model('Product');
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 12;
-    const skip = (page - 1) * limit;
-    const category = req.query.category;
-    const search = req.query.search;
-    const featured = req.query.featured;
-
-    const query = { inStock: true };
-    if (category && category !== 'all') query.category = category;
-    if (featured === 'true') query.featured = true;
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const { search, category, tags, from, to, featured } = req.query;
 
-    const products = await Product.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean();
+    const filter = { inStock: true };
+    if (featured === 'true') filter.featured = true;
 
-    const total = await Product.countDocuments(query);
+    const { results: products, total } = await searchDocuments(Product, {
+      q: search,
+      filter,
+      category,
+      tags,
+      from,
+      to,
+      titleField: 'name',
+      snippetFields: ['description'],
+      page,
+      limit
+    });
 
     res.json({
       success: true,
@@ -91,8 +90,11 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// CREATE product (admin only)
-router.post('/', adminAuth, upload.array('images', 5), async (req, res) => {
+// Comments on a product
+router.use('/:id/comments', targetComments('Product'));
+
+// CREATE product (products:create)
+router.post('/', requirePermission('products:create'), upload.array('images', 5), async (req, res) => {
   try {
     const Product = mongoose.model('Product');
     const { name, description, price, category, stockQuantity, featured, tags } = req.body;
@@ -118,6 +120,8 @@ router.post('/', adminAuth, upload.array('images', 5), async (req, res) => {
 
     await product.save();
 
+    await recordAudit(req, { action: 'product.create', entityType: 'Product', after: product });
+
     res.status(201).json({
       success: true,
       message: 'تم إنشاء المنتج بنجاح',
@@ -131,8 +135,8 @@ router.post('/', adminAuth, upload.array('images', 5), async (req, res) => {
   }
 });
 
-// UPDATE product (admin only)
-router.put('/:id', adminAuth, upload.array('images', 5), async (req, res) => {
+// UPDATE product (products:update)
+router.put('/:id', requirePermission('products:update'), upload.array('images', 5), async (req, res) => {
   try {
     const Product = mongoose.model('Product');
     const { name, description, price, category, stockQuantity, featured, tags, removeImages } = req.body;
@@ -142,6 +146,8 @@ router.put('/:id', adminAuth, upload.array('images', 5), async (req, res) => {
       return res.status(404).json({ success: false, message: 'المنتج غير موجود' });
     }
 
+    const previous = product.toObject();
+
     if (name) product.name = name.trim();
     if (description) product.description = description.trim();
     if (price) product.price = parseFloat(price);
@@ -162,6 +168,8 @@ router.put('/:id', adminAuth, upload.array('images', 5), async (req, res) => {
 
     await product.save();
 
+    await recordAudit(req, { action: 'product.update', entityType: 'Product', before: previous, after: product });
+
     res.json({
       success: true,
       message: 'تم تحديث المنتج بنجاح',
@@ -172,8 +180,8 @@ router.put('/:id', adminAuth, upload.array('images', 5), async (req, res) => {
   }
 });
 
-// DELETE product (admin only)
-router.delete('/:id', adminAuth, async (req, res) => {
+// DELETE product (products:delete)
+router.delete('/:id', requirePermission('products:delete'), async (req, res) => {
   try {
     const Product = mongoose.model('Product');
     const product = await Product.findById(req.params.id);
@@ -182,6 +190,9 @@ router.delete('/:id', adminAuth, async (req, res) => {
     }
 
     await Product.findByIdAndDelete(req.params.id);
+    await deleteTargetComments('Product', product._id);
+    await recordAudit(req, { action: 'product.delete', entityType: 'Product', before: product });
+
     res.json({ success: true, message: 'تم حذف المنتج بنجاح' });
   } catch (error) {
     res.status(500).json({ success: false, message: 'خطأ في حذف المنتج', error: error.message });
@@ -0,0 +1,58 @@
+// ==========================================
+// routes/reports.js - Members flag harmful content and accounts
+// Moderators review reports under /api/admin/reports
+// ==========================================
+const express = require('express');
+const router = express.Router();
+const { auth, rateLimiter } = require('../middleware/auth');
+const { REPORT_REASONS, REPORT_TARGET_TYPES, ReportError, createReport } = require('../services/reports');
+
+// GET the reasons a member can pick from
+router.get('/reasons', (req, res) => {
+  res.json({
+    success: true,
+    reasons: Object.entries(REPORT_REASONS).map(([value, label]) => ({ value, label }))
+  });
+});
+
+// POST a report: { targetType: 'post'|'comment'|'article'|'user', targetId, reason, details }
+router.post('/', auth, rateLimiter(20, 60 * 60 * 1000), async (req, res) => {
+  try {
+    const requestedType = String(req.body.targetType || '').toLowerCase();
+    const targetType = REPORT_TARGET_TYPES.find(type => type.toLowerCase() === requestedType);
+
+    if (!targetType || !req.body.targetId) {
+      return res.status(400).json({ success: false, message: 'المحتوى المراد الإبلاغ عنه مطلوب' });
+    }
+
+    const { report, duplicate } = await createReport(req.user, {
+      targetType,
+      targetId: req.body.targetId,
+      reason: req.body.reason,
+      details: req.body.details
+    });
+
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      message: duplicate ? 'لقد أبلغت عن هذا المحتوى من قبل، البلاغ قيد المراجعة' : 'شكراً، تم إرسال البلاغ إلى فريق الإشراف',
+      report: {
+        id: report._id,
+        targetType: report.targetType,
+        target: report.target,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+  } catch (error) {
+    if (error instanceof ReportError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ success: false, message: 'خطأ في إرسال البلاغ', error: error.message });
+  }
+});
+
+module.exports = router;
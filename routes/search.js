@@ -0,0 +1,167 @@
+// ==========================================
+// routes/search.js - Search across the site and search-bar suggestions
+// ==========================================
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { optionalAuth, rateLimiter } = require('../middleware/auth');
+const { normalizeForSearch } = require('../utils/arabic');
+const {
+  searchDocuments,
+  suggestTitles,
+  suggestTags,
+  suggestQueries,
+  trackSearchQuery
+} = require('../services/search');
+const { publicArticleFilter } = require('../services/articleStatus');
+const { visiblePostsFilter } = require('../services/relationships');
+
+const MIN_QUERY_LENGTH = 2;
+const SEARCH_TYPES = ['articles', 'products', 'posts', 'users'];
+
+// How each content type is searched and presented
+const searchGroup = async (type, q, viewer, page, limit) => {
+  switch (type) {
+    case 'articles': {
+      const found = await searchDocuments(mongoose.model('Article'), {
+        q,
+        filter: publicArticleFilter(),
+        titleField: 'title',
+        snippetFields: ['excerpt', 'content'],
+        dateField: 'publishedAt',
+        select: 'title slug excerpt content images category tags author views publishedAt',
+        populate: ['author', 'name avatar'],
+        page,
+        limit
+      });
+      // The content was only needed for the snippet
+      found.results.forEach(article => delete article.content);
+      return found;
+    }
+
+    case 'products':
+      return searchDocuments(mongoose.model('Product'), {
+        q,
+        filter: { inStock: true },
+        titleField: 'name',
+        snippetFields: ['description'],
+        select: 'name description price images category tags featured',
+        page,
+        limit
+      });
+
+    case 'posts': {
+      return searchDocuments(mongoose.model('Post'), {
+        q,
+        filter: { moderationStatus: 'approved', ...(await visiblePostsFilter(viewer)) },
+        titleField: null,
+        snippetFields: ['content'],
+        select: 'content images author likes commentsCount createdAt',
+        populate: ['author', 'name avatar'],
+        page,
+        limit
+      });
+    }
+
+    case 'users':
+      return searchDocuments(mongoose.model('User'), {
+        q,
+        filter: { status: 'active', 'preferences.privacy.profileVisibility': { $ne: 'private' } },
+        titleField: 'name',
+        snippetFields: [],
+        select: 'name avatar bio',
+        page,
+        limit
+      });
+
+    default:
+      return { results: [], total: 0 };
+  }
+};
+
+// GET /api/search?q=&types=articles,products,posts,users&page=&limit=
+router.get('/', optionalAuth, rateLimiter(60, 60 * 1000), async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+
+    if (normalizeForSearch(q).length < MIN_QUERY_LENGTH) {
+      return res.status(400).json({ success: false, message: 'يرجى كتابة حرفين على الأقل للبحث' });
+    }
+
+    const types = req.query.types
+      ? String(req.query.types).split(',').filter(type => SEARCH_TYPES.includes(type))
+      : SEARCH_TYPES;
+
+    const groups = await Promise.all(types.map(type => searchGroup(type, q, req.user, page, limit)));
+
+    const results = {};
+    let total = 0;
+    types.forEach((type, index) => {
+      results[type] = { items: groups[index].results, total: groups[index].total };
+      total += groups[index].total;
+    });
+
+    // Only the first page counts as a search, later pages are the same one
+    if (page === 1) {
+      await trackSearchQuery(q, total);
+    }
+
+    res.json({
+      success: true,
+      query: q,
+      total,
+      results
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ success: false, message: 'خطأ في البحث', error: error.message });
+  }
+});
+
+// GET /api/search/suggest?q= - Prefix autocomplete for the search bar
+router.get('/suggest', rateLimiter(120, 60 * 1000), async (req, res) => {
+  try {
+    const prefix = normalizeForSearch(req.query.q);
+
+    if (prefix.length < MIN_QUERY_LENGTH) {
+      return res.json({ success: true, suggestions: { queries: [], articles: [], products: [], tags: [] } });
+    }
+
+    const Article = mongoose.model('Article');
+    const Product = mongoose.model('Product');
+
+    const [queries, articles, products, articleTags, productTags] = await Promise.all([
+      suggestQueries(prefix),
+      suggestTitles(Article, prefix, { filter: publicArticleFilter(), titleField: 'title', select: 'slug' }),
+      suggestTitles(Product, prefix, { filter: { inStock: true }, titleField: 'name' }),
+      suggestTags(Article, prefix, { filter: publicArticleFilter() }),
+      suggestTags(Product, prefix, { filter: { inStock: true } })
+    ]);
+
+    // One entry per tag, counting its uses in both collections
+    const tagCounts = new Map();
+    [...articleTags, ...productTags].forEach(tag => {
+      tagCounts.set(tag.text, (tagCounts.get(tag.text) || 0) + tag.count);
+    });
+
+    res.json({
+      success: true,
+      suggestions: {
+        queries,
+        articles: articles.map(article => ({ _id: article._id, text: article.text, slug: article.slug })),
+        products: products.map(product => ({ _id: product._id, text: product.text })),
+        tags: [...tagCounts.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 5)
+          .map(([text, count]) => ({ text, count }))
+      }
+    });
+  } catch (error) {
+    console.error('Search suggest error:', error);
+    res.status(500).json({ success: false, message: 'خطأ في جلب الاقتراحات', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,321 @@
+// ==========================================
+// routes/users.js - Public user profiles and follows
+// ==========================================
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { canViewProfile, buildPublicProfile, computeProfileStats } = require('../services/profiles');
+const { followStatus } = require('../services/relationships');
+const { notify } = require('../services/notifications');
+
+// Load a visible (not deleted, not banned) user from :id, or answer 404
+const findVisibleUser = async (id, res) => {
+  const User = mongoose.model('User');
+
+  const user = mongoose.Types.ObjectId.isValid(id)
+    ? await User.findById(id).select('-password')
+    : null;
+
+  if (!user || user.status === 'deleted' || user.status === 'banned') {
+    res.status(404).json({ success: false, message: 'المستخدم غير موجود' });
+    return null;
+  }
+
+  return user;
+};
+
+const paginate = (req, defaultLimit = 20) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || defaultLimit, 50);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// ==========================================
+// FOLLOW REQUESTS
+// ==========================================
+
+// GET pending follow requests received by the current user
+router.get('/me/follow-requests', auth, async (req, res) => {
+  try {
+    const Follow = mongoose.model('Follow');
+    const { page, limit, skip } = paginate(req);
+    const query = { following: req.userId, status: 'pending' };
+
+    const [requests, total] = await Promise.all([
+      Follow.find(query)
+        .populate('follower', 'name avatar')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Follow.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      requests: requests.map(request => ({
+        id: request._id,
+        user: request.follower,
+        createdAt: request.createdAt
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'خطأ في جلب طلبات المتابعة', error: error.message });
+  }
+});
+
+// POST accept a follow request
+router.post('/me/follow-requests/:requestId/accept', auth, async (req, res) => {
+  try {
+    const Follow = mongoose.model('Follow');
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.requestId)) {
+      return res.status(404).json({ success: false, message: 'طلب المتابعة غير موجود' });
+    }
+
+    const request = await Follow.findOneAndUpdate(
+      { _id: req.params.requestId, following: req.userId, status: 'pending' },
+      { $set: { status: 'accepted', acceptedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'طلب المتابعة غير موجود' });
+    }
+
+    await notify({ recipient: request.follower, actor: req.userId, type: 'follow_accepted' });
+
+    res.json({ success: true, message: 'تم قبول طلب المتابعة' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'خطأ في قبول طلب المتابعة', error: error.message });
+  }
+});
+
+// POST decline a follow request
+router.post('/me/follow-requests/:requestId/decline', auth, async (req, res) => {
+  try {
+    const Follow = mongoose.model('Follow');
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.requestId)) {
+      return res.status(404).json({ success: false, message: 'طلب المتابعة غير موجود' });
+    }
+
+    const request = await Follow.findOneAndDelete({
+      _id: req.params.requestId,
+      following: req.userId,
+      status: 'pending'
+    });
+
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'طلب المتابعة غير موجود' });
+    }
+
+    res.json({ success: true, message: 'تم رفض طلب المتابعة' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'خطأ في رفض طلب المتابعة', error: error.message });
+  }
+});
+
+// DELETE remove one of the current user's followers
+router.delete('/me/followers/:id', auth, async (req, res) => {
+  try {
+    const Follow = mongoose.model('Follow');
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'المستخدم غير موجود' });
+    }
+
+    await Follow.deleteOne({ follower: req.params.id, following: req.userId });
+
+    res.json({ success: true, message: 'تمت إزالة المتابِعة' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'خطأ في إزالة المتابِعة', error: error.message });
+  }
+});
+
+// ==========================================
+// FOLLOWS
+// ==========================================
+
+// POST follow a user: immediate for public profiles, a request otherwise
+router.post('/:id/follow', auth, async (req, res) => {
+  try {
+    const Follow = mongoose.model('Follow');
+
+    const target = await findVisibleUser(req.params.id, res);
+    if (!target) return;
+
+    if (target._id.equals(req.userId)) {
+      return res.status(400).json({ success: false, message: 'لا يمكنك متابعة نفسك', code: 'CANNOT_FOLLOW_SELF' });
+    }
+
+    const existing = await Follow.findOne({ follower: req.userId, following: target._id });
+    if (existing) {
+      return res.json({ success: true, message: 'أنت تتابعين هذه المستخدمة بالفعل', status: existing.status });
+    }
+
+    const isPublic = (target.preferences?.privacy?.profileVisibility || 'public') === 'public';
+
+    const follow = await Follow.create({
+      follower: req.userId,
+      following: target._id,
+      status: isPublic ? 'accepted' : 'pending',
+      acceptedAt: isPublic ? new Date() : null
+    });
+
+    if (!isPublic) {
+      await notify({ recipient: target._id, actor: req.userId, type: 'follow_request' });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: isPublic ? 'تمت المتابعة بنجاح' : 'تم إرسال طلب المتابعة',
+      status: follow.status
+    });
+  } catch (error) {
+    // Two concurrent requests for the same pair: the unique index rejected the second one
+    if (error.code === 11000) {
+      return res.json({ success: true, message: 'أنت تتابعين هذه المستخدمة بالفعل' });
+    }
+    res.status(500).json({ success: false, message: 'خطأ في المتابعة', error: error.message });
+  }
+});
+
+// DELETE unfollow a user, or cancel a pending request
+router.delete('/:id/follow', auth, async (req, res) => {
+  try {
+    const Follow = mongoose.model('Follow');
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'المستخدم غير موجود' });
+    }
+
+    await Follow.deleteOne({ follower: req.userId, following: req.params.id });
+
+    res.json({ success: true, message: 'تم إلغاء المتابعة' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'خطأ في إلغاء المتابعة', error: error.message });
+  }
+});
+
+// GET followers or followings of a user, subject to profile privacy
+const listRelations = (direction) => async (req, res) => {
+  try {
+    const Follow = mongoose.model('Follow');
+
+    const owner = await findVisibleUser(req.params.id, res);
+    if (!owner) return;
+
+    if (!(await canViewProfile(req.user, owner))) {
+      return res.status(403).json({ success: false, message: 'هذا الملف الشخصي خاص', code: 'PROFILE_PRIVATE' });
+    }
+
+    const { page, limit, skip } = paginate(req);
+    const ownField = direction === 'followers' ? 'following' : 'follower';
+    const otherField = direction === 'followers' ? 'follower' : 'following';
+    const query = { [ownField]: owner._id, status: 'accepted' };
+
+    const [follows, total] = await Promise.all([
+      Follow.find(query)
+        .populate(otherField, 'name avatar status')
+        .sort({ acceptedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Follow.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      users: follows
+        .map(follow => follow[otherField])
+        .filter(user => user && user.status !== 'deleted')
+        .map(user => ({ _id: user._id, name: user.name, avatar: user.avatar })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'خطأ في جلب قائمة المتابعة', error: error.message });
+  }
+};
+
+router.get('/:id/followers', optionalAuth, listRelations('followers'));
+router.get('/:id/following', optionalAuth, listRelations('following'));
+
+// ==========================================
+// PROFILES
+// ==========================================
+
+// GET public profile with posts and stats
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const Post = mongoose.model('Post');
+
+    const owner = await findVisibleUser(req.params.id, res);
+    if (!owner) return;
+
+    // Tells the viewer whether they follow this profile (null, 'pending' or 'accepted')
+    const viewerFollowStatus = req.user && !owner._id.equals(req.userId)
+      ? await followStatus(req.userId, owner._id)
+      : null;
+
+    // Hidden profiles still show who they are, nothing more
+    if (!(await canViewProfile(req.user, owner))) {
+      return res.status(403).json({
+        success: false,
+        message: 'هذا الملف الشخصي خاص',
+        code: 'PROFILE_PRIVATE',
+        profile: {
+          _id: owner._id,
+          name: owner.name,
+          avatar: owner.avatar,
+          profileVisibility: owner.preferences.privacy.profileVisibility
+        },
+        followStatus: viewerFollowStatus
+      });
+    }
+
+    const { page, limit, skip } = paginate(req, 10);
+
+    // Held posts are only listed for their author
+    const postsQuery = req.user && owner._id.equals(req.userId)
+      ? { author: owner._id }
+      : { author: owner._id, moderationStatus: 'approved' };
+
+    const [posts, postsTotal, stats] = await Promise.all([
+      Post.find(postsQuery)
+        .populate('author', 'name avatar')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Post.countDocuments(postsQuery),
+      computeProfileStats(owner._id)
+    ]);
+
+    res.json({
+      success: true,
+      profile: { ...buildPublicProfile(owner, req.user), stats },
+      followStatus: viewerFollowStatus,
+      posts,
+      pagination: {
+        current: page,
+        pages: Math.ceil(postsTotal / limit),
+        total: postsTotal
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'خطأ في جلب الملف الشخصي', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -78,7 +78,7 @@ async function loadModels() {
   try {
     console.log('\n📦 Loading models...');
     
-    const modelFiles = ['User', 'Article', 'Product', 'Post', 'Comment', 'Order'];
+    const modelFiles = ['User', 'Article', 'Product', 'Post', 'Comment', 'Order', 'Otp', 'Session', 'Follow', 'Notification', 'AuditLog', 'ArticleRevision', 'SearchQuery', 'ArticleView', 'ArticleSimilarity', 'BlockedTerm', 'Report'];
     
     for (const model of modelFiles) {
       try {
@@ -101,6 +101,7 @@ async function loadModels() {
         phone: '0555123456',
         password: 'anesaya75',
         isAdmin: true,
+        roles: ['super-admin'],
         status: 'active'
       });
       await newAdmin.save();
@@ -108,12 +109,37 @@ async function loadModels() {
     } else {
       console.log('✅ Admin exists:', admin._id);
     }
+
+    // Bring documents saved by older versions up to date
+    console.log('\n🔄 Running data migrations...');
+    const { runMigrations } = require('./migrations');
+    await runMigrations();
+    console.log('✅ Data migrations done');
     
   } catch (error) {
     console.error('❌ Models error:', error.message);
   }
 }
 
+// ==========================================
+// BACKGROUND JOBS
+// ==========================================
+function startBackgroundJobs() {
+  if (!dbConnected) {
+    console.log('⚠️  Skipping background jobs (no database)');
+    return;
+  }
+
+  try {
+    console.log('\n⏱️  Starting background jobs...');
+    const { startJobs } = require('./jobs');
+    startJobs();
+    console.log('✅ Background jobs started');
+  } catch (error) {
+    console.error('❌ Background jobs error:', error.message);
+  }
+}
+
 // ==========================================
 // BASIC ROUTES - ALWAYS WORK
 // ==========================================
@@ -151,7 +177,11 @@ function loadRoutes() {
     { path: '/api/products', file: './routes/products' },
     { path: '/api/comments', file: './routes/comments' },
     { path: '/api/orders', file: './routes/Orders' },
-    { path: '/api/admin', file: './routes/admin' }
+    { path: '/api/admin', file: './routes/admin' },
+    { path: '/api/users', file: './routes/users' },
+    { path: '/api/notifications', file: './routes/notifications' },
+    { path: '/api/search', file: './routes/search' },
+    { path: '/api/reports', file: './routes/reports' }
   ];
   
   let loadedCount = 0;
@@ -248,13 +278,16 @@ async function startServer() {
     // Step 2: Load models
     await loadModels();
     
-    // Step 3: Load routes (CRITICAL)
+    // Step 3: Start background jobs
+    startBackgroundJobs();
+    
+    // Step 4: Load routes (CRITICAL)
     loadRoutes();
     
-    // Step 4: Setup error handlers (MUST BE LAST)
+    // Step 5: Setup error handlers (MUST BE LAST)
     setupErrorHandlers();
     
-    // Step 5: Start listening
+    // Step 6: Start listening
     app.listen(PORT, '0.0.0.0', () => {
       console.log('\n' + '='.repeat(60));
       console.log('✅ SERVER IS RUNNING!');
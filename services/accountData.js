@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { describeSession } = require('./sessions');
+const { removeAvatarFiles } = require('./avatars');
+
+// ==========================================
+// ACCOUNT DATA - Personal data export and anonymization
+// ==========================================
+const UPLOADS_ROOT = path.join(__dirname, '..');
+
+// Everything tied to a user, as plain JSON
+const buildUserExport = async (userId) => {
+  const User = mongoose.model('User');
+  const Post = mongoose.model('Post');
+  const Comment = mongoose.model('Comment');
+  const Order = mongoose.model('Order');
+  const Article = mongoose.model('Article');
+  const Session = mongoose.model('Session');
+  const ArticleView = mongoose.model('ArticleView');
+
+  const user = await User.findById(userId);
+
+  const [posts, comments, orders, likedArticles, likedPosts, sessions, readArticles] = await Promise.all([
+    Post.find({ author: userId }).sort({ createdAt: -1 }).lean(),
+    Comment.find({ author: userId }).sort({ createdAt: -1 }).lean(),
+    Order.find({ user: userId }).populate('items.product', 'name').sort({ createdAt: -1 }).lean(),
+    Article.find({ likes: userId }).select('title slug createdAt').lean(),
+    Post.find({ likes: userId }).select('content author createdAt').lean(),
+    Session.find({ user: userId }).sort({ createdAt: -1 }),
+    ArticleView.find({ user: userId }).populate('article', 'title slug').sort({ lastViewedAt: -1 }).lean()
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: user.toJSON(),
+    posts: posts.map(post => ({
+      id: post._id,
+      content: post.content,
+      images: post.images,
+      likesCount: post.likes ? post.likes.length : 0,
+      commentsCount: post.commentsCount,
+      createdAt: post.createdAt,
+      updatedAt: post.updatedAt
+    })),
+    comments: comments.map(comment => ({
+      id: comment._id,
+      content: comment.content,
+      targetType: comment.targetType,
+      target: comment.target,
+      parentComment: comment.parentComment,
+      createdAt: comment.createdAt
+    })),
+    orders: orders.map(order => ({
+      id: order._id,
+      items: order.items,
+      totalAmount: order.totalAmount,
+      shippingAddress: order.shippingAddress,
+      status: order.status,
+      paymentMethod: order.paymentMethod,
+      paymentStatus: order.paymentStatus,
+      createdAt: order.createdAt
+    })),
+    likes: {
+      articles: likedArticles,
+      posts: likedPosts.map(post => ({ id: post._id, content: post.content, createdAt: post.createdAt }))
+    },
+    sessions: sessions.map(session => describeSession(session)),
+    readingHistory: readArticles.map(view => ({
+      article: view.article,
+      count: view.count,
+      lastViewedAt: view.lastViewedAt
+    }))
+  };
+};
+
+// Absolute paths of the uploaded files in an export, so they can be bundled
+const exportFiles = (data) => {
+  const files = [];
+  if (data.profile.avatar) files.push(data.profile.avatar);
+  data.posts.forEach(post => files.push(...(post.images || [])));
+
+  return files
+    .filter(file => typeof file === 'string' && file.startsWith('/uploads/'))
+    .map(file => ({ url: file, absolutePath: path.join(UPLOADS_ROOT, file) }))
+    .filter(file => fs.existsSync(file.absolutePath));
+};
+
+// Remove a user's identity for good while keeping what other people rely on:
+// posts and comments stay under an anonymous author, orders stay for accounting
+const anonymizeUser = async (userId) => {
+  const User = mongoose.model('User');
+  const Post = mongoose.model('Post');
+  const Comment = mongoose.model('Comment');
+  const Order = mongoose.model('Order');
+  const Article = mongoose.model('Article');
+  const Session = mongoose.model('Session');
+  const Otp = mongoose.model('Otp');
+  const Follow = mongoose.model('Follow');
+  const Notification = mongoose.model('Notification');
+  const ArticleView = mongoose.model('ArticleView');
+
+  const user = await User.findById(userId);
+  if (!user || user.status === 'deleted') return;
+
+  await Promise.all([
+    Article.updateMany({ likes: userId }, { $pull: { likes: userId } }),
+    Post.updateMany({ likes: userId }, { $pull: { likes: userId } }),
+    Comment.updateMany({ likes: userId }, { $pull: { likes: userId } }),
+    Order.updateMany({ user: userId }, {
+      $set: {
+        'shippingAddress.fullName': 'عميل محذوف',
+        'shippingAddress.phone': '-',
+        'shippingAddress.address': '-'
+      },
+      $unset: { 'shippingAddress.postalCode': 1, notes: 1 }
+    }),
+    Session.deleteMany({ user: userId }),
+    Otp.deleteMany({ user: userId }),
+    Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] }),
+    Notification.deleteMany({ $or: [{ recipient: userId }, { actor: userId }] }),
+    ArticleView.deleteMany({ user: userId })
+  ]);
+
+  removeAvatarFiles(user);
+
+  // Written directly: the anonymized document would not pass the schema validators
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      name: 'مستخدم محذوف',
+      email: `deleted-${userId}@deleted.invalid`,
+      phone: '-',
+      password: crypto.randomBytes(32).toString('hex'),
+      avatar: null,
+      avatarVariants: { small: null, medium: null, large: null },
+      bio: '',
+      location: '',
+      socialMedia: {},
+      isAdmin: false,
+      roles: [],
+      status: 'deleted',
+      emailVerified: false,
+      phoneVerified: false,
+      twoFactor: { enabled: false, secret: null, pendingSecret: null, backupCodes: [] },
+      deletedAt: new Date(),
+      deletionScheduledFor: null
+    },
+    $inc: { tokenVersion: 1 },
+    $unset: {
+      search: 1,
+      resetPasswordToken: 1,
+      resetPasswordExpires: 1,
+      emailVerificationToken: 1,
+      emailVerificationExpires: 1,
+      emailVerificationSentAt: 1
+    }
+  });
+
+  console.log('🗑️ User anonymized:', userId.toString());
+};
+
+module.exports = {
+  buildUserExport,
+  exportFiles,
+  anonymizeUser
+};
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { diffLines, diffSets } = require('../utils/diff');
+
+// ==========================================
+// ARTICLE REVISIONS - Every saved version of an article's content
+// ==========================================
+const REVISIONED_FIELDS = ['title', 'excerpt', 'content', 'category', 'tags'];
+const MAX_REVISION_ATTEMPTS = 3;
+
+const pickContent = (source) => {
+  const content = {};
+  REVISIONED_FIELDS.forEach(field => {
+    content[field] = field === 'tags' ? [...(source.tags || [])] : source[field];
+  });
+  return content;
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const changedFieldsBetween = (before, after) =>
+  REVISIONED_FIELDS.filter(field => !sameValue(before[field], after[field]));
+
+// Create the revision after the latest one stored (see recordRevision)
+const createNextRevision = async (article, previous, editorId, changedFields, restoredFrom) => {
+  const ArticleRevision = mongoose.model('ArticleRevision');
+
+  const latest = await ArticleRevision.findOne({ article: article._id }).sort({ number: -1 }).select('number');
+  let number = latest ? latest.number : 0;
+
+  if (!latest && previous) {
+    number++;
+    await ArticleRevision.create({
+      article: article._id,
+      number,
+      editor: previous.author && previous.author._id ? previous.author._id : previous.author,
+      ...pickContent(previous),
+      createdAt: previous.updatedAt || previous.createdAt
+    });
+  }
+
+  return ArticleRevision.create({
+    article: article._id,
+    number: number + 1,
+    editor: editorId,
+    ...pickContent(article),
+    changedFields,
+    restoredFrom
+  });
+};
+
+// Store the article's current content as a new revision
+// `previous` is the article as it was before the change (null on creation); articles
+// created before revisions existed get their previous state stored first as revision 1
+// Returns the revision, or null when no revisioned field changed
+const recordRevision = async (article, previous, editorId, { restoredFrom = null } = {}) => {
+  const changedFields = previous ? changedFieldsBetween(previous, article) : [];
+  if (previous && changedFields.length === 0) return null;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await createNextRevision(article, previous, editorId, changedFields, restoredFrom);
+    } catch (error) {
+      // A concurrent save of the same article took that number: number again
+      if (error.code !== 11000 || attempt >= MAX_REVISION_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Field-by-field differences between two revisions (or revision-shaped objects)
+const diffRevisions = (from, to) => {
+  const changes = {};
+
+  changedFieldsBetween(from, to).forEach(field => {
+    if (field === 'tags') {
+      changes.tags = diffSets(from.tags, to.tags);
+    } else if (field === 'content' || field === 'excerpt') {
+      changes[field] = diffLines(from[field], to[field]);
+    } else {
+      changes[field] = { from: from[field], to: to[field] };
+    }
+  });
+
+  return changes;
+};
+
+// Put an older revision's content back on the article (the caller saves and records it)
+const applyRevision = (article, revision) => {
+  REVISIONED_FIELDS.forEach(field => {
+    article[field] = field === 'tags' ? [...revision.tags] : revision[field];
+  });
+  return article;
+};
+
+module.exports = {
+  REVISIONED_FIELDS,
+  recordRevision,
+  diffRevisions,
+  applyRevision
+};
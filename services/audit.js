@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// AUDIT LOG - Who changed what, from where
+// ==========================================
+
+// Never written to the log, whatever the entity
+const REDACTED_FIELDS = [
+  'password',
+  'tokenVersion',
+  'twoFactor',
+  'resetPasswordToken',
+  'resetPasswordExpires',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'refreshTokenHash',
+  'loginAttempts',
+  'lockedUntil'
+];
+
+// Bookkeeping fields that change on every save
+// (moderationHistory duplicates what the audit entry itself records)
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'moderationHistory'];
+
+// Plain JSON copy of a document (or null), without sensitive fields
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject() : doc));
+  REDACTED_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+};
+
+// Keep only the top-level fields that differ between two snapshots
+const diff = (before, after) => {
+  const changedBefore = {};
+  const changedAfter = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    if (JSON.stringify(before[field]) === JSON.stringify(after[field])) return;
+    changedBefore[field] = before[field] === undefined ? null : before[field];
+    changedAfter[field] = after[field] === undefined ? null : after[field];
+  });
+
+  return { before: changedBefore, after: changedAfter };
+};
+
+// Record an action taken by req.user; never throws, auditing must not fail the action
+// Pass `before` and/or `after` as documents: updates store only the changed fields
+const recordAudit = async (req, { action, entityType, entityId = null, before = null, after = null, reason = null }) => {
+  try {
+    const AuditLog = mongoose.model('AuditLog');
+
+    let beforeData = snapshot(before);
+    let afterData = snapshot(after);
+
+    if (beforeData && afterData) {
+      ({ before: beforeData, after: afterData } = diff(beforeData, afterData));
+    }
+
+    return await AuditLog.create({
+      actor: req.user ? req.user._id : null,
+      actorEmail: req.user ? req.user.email : null,
+      action,
+      entityType,
+      entityId: entityId || (after && after._id) || (before && before._id) || null,
+      before: beforeData,
+      after: afterData,
+      reason: reason || null,
+      ip: req.ip || req.connection?.remoteAddress || '',
+      userAgent: (req.get('User-Agent') || '').slice(0, 300)
+    });
+  } catch (error) {
+    console.error('❌ Audit log error:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  snapshot,
+  diff,
+  recordAudit
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// ==========================================
+// AVATARS - Validate, crop and resize profile pictures
+// ==========================================
+const AVATAR_DIR = './uploads/avatars';
+const AVATAR_SIZES = { small: 64, medium: 128, large: 256 };
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Raised for uploads that are not a usable image
+class AvatarError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AvatarError';
+  }
+}
+
+// Decode the upload to check what it really is, whatever its name or mimetype claim
+const inspectImage = async (buffer) => {
+  try {
+    const metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    if (!ALLOWED_FORMATS.includes(metadata.format)) {
+      throw new AvatarError('صيغة الصورة غير مدعومة (JPEG, PNG, WEBP, GIF)');
+    }
+    return metadata;
+  } catch (error) {
+    if (error instanceof AvatarError) throw error;
+    throw new AvatarError('الملف المرفوع ليس صورة صالحة');
+  }
+};
+
+// Square-crop the image and write one WEBP file per size
+// Returns the public URL of every size
+const processAvatar = async (buffer, userId) => {
+  await inspectImage(buffer);
+
+  await fs.promises.mkdir(AVATAR_DIR, { recursive: true });
+  const baseName = `${userId}-${Date.now()}`;
+  const variants = {};
+
+  for (const [name, size] of Object.entries(AVATAR_SIZES)) {
+    const fileName = `${baseName}-${size}.webp`;
+
+    await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, animated: false })
+      .rotate() // honour EXIF orientation from phone cameras
+      .resize(size, size, { fit: 'cover', position: sharp.strategy.attention })
+      .webp({ quality: 85 })
+      .toFile(path.join(AVATAR_DIR, fileName));
+
+    variants[name] = `/uploads/avatars/${fileName}`;
+  }
+
+  return variants;
+};
+
+// Delete every stored file of a user's current avatar
+const removeAvatarFiles = (user) => {
+  const variants = user.avatarVariants || {};
+  const urls = new Set([user.avatar, ...Object.keys(AVATAR_SIZES).map(name => variants[name])]);
+
+  urls.forEach(url => {
+    if (typeof url !== 'string' || !url.startsWith('/uploads/avatars/')) return;
+    fs.unlink(path.join(__dirname, '..', url), (err) => {
+      if (err && err.code !== 'ENOENT') console.error('Error deleting avatar:', err);
+    });
+  });
+};
+
+module.exports = {
+  AvatarError,
+  processAvatar,
+  removeAvatarFiles
+};
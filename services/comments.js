@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const { publicArticleFilter } = require('./articleStatus');
+const { canSeePostAuthor } = require('./relationships');
+const { isVisibleContent } = require('./contentModeration');
+const { notify } = require('./notifications');
+
+// ==========================================
+// COMMENTS - Comments on articles, posts and products
+// A comment points to its content through targetType + target. Threads are read
+// one level at a time: top-level comments first, replies on demand
+// Comments held by moderation are only shown to their author; the content's
+// commentsCount only counts approved ones
+// ==========================================
+const COMMENT_TARGET_TYPES = ['Article', 'Post', 'Product'];
+
+const COMMENT_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  top: { likesCount: -1, createdAt: -1, _id: -1 }
+};
+
+// Fields used to show what a comment belongs to
+const TARGET_SUMMARY_FIELDS = {
+  Article: 'title slug',
+  Post: 'content author',
+  Product: 'name'
+};
+
+// Carries the HTTP status the route should answer with
+class CommentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'CommentError';
+    this.status = status;
+  }
+}
+
+// Load the content a viewer wants to read or write comments on
+// Unpublished articles, held posts and posts hidden by their author's privacy do not exist for them
+const findCommentTarget = async (targetType, targetId, viewer) => {
+  if (!COMMENT_TARGET_TYPES.includes(targetType)) {
+    throw new CommentError(400, 'نوع المحتوى غير صالح');
+  }
+
+  const notFound = new CommentError(404, 'المحتوى غير موجود');
+  if (!mongoose.Types.ObjectId.isValid(targetId)) throw notFound;
+
+  const Model = mongoose.model(targetType);
+  const filter = targetType === 'Article'
+    ? { _id: targetId, ...publicArticleFilter() }
+    : { _id: targetId };
+
+  const target = await Model.findOne(filter).select('author moderationStatus authorVisibility').lean();
+  if (!target) throw notFound;
+
+  if (targetType === 'Post') {
+    if (!isVisibleContent(target, viewer)) throw notFound;
+    if (!(await canSeePostAuthor(target, viewer))) throw notFound;
+  }
+
+  return target;
+};
+
+// Shape a comment for API responses: deleted comments and held comments of other
+// people are placeholders that only keep their replies' place in the thread
+const presentComment = (comment, viewer = null) => {
+  if (!comment.deleted && isVisibleContent(comment, viewer)) return comment;
+
+  return {
+    _id: comment._id,
+    targetType: comment.targetType,
+    target: comment.target,
+    parentComment: comment.parentComment,
+    repliesCount: comment.repliesCount,
+    deleted: !!comment.deleted,
+    hidden: !comment.deleted,
+    content: null,
+    author: null,
+    createdAt: comment.createdAt
+  };
+};
+
+// One page of a comment level (`filter` picks the top level or a comment's replies)
+// Returns { comments, total }; tombstones keep their place but show nothing
+const listCommentLevel = async (levelFilter, { sort = 'newest', page = 1, limit = 20, viewer = null } = {}) => {
+  const Comment = mongoose.model('Comment');
+  const viewerId = viewer ? new mongoose.Types.ObjectId(viewer._id) : null;
+
+  // Held comments are left out unless they are the viewer's or still carry replies
+  const visible = [{ moderationStatus: 'approved' }, { repliesCount: { $gt: 0 } }];
+  if (viewerId) visible.push({ author: viewerId });
+  const filter = { $and: [levelFilter, { $or: visible }] };
+
+  const [comments, total] = await Promise.all([
+    Comment.aggregate([
+      { $match: filter },
+      {
+        $addFields: {
+          likesCount: { $size: { $ifNull: ['$likes', []] } },
+          isLiked: viewerId ? { $in: [viewerId, { $ifNull: ['$likes', []] }] } : false
+        }
+      },
+      { $sort: COMMENT_SORTS[sort] || COMMENT_SORTS.newest },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      { $project: { likes: 0, editHistory: 0 } }
+    ]),
+    Comment.countDocuments(filter)
+  ]);
+
+  await Comment.populate(comments, { path: 'author', select: 'name avatar' });
+
+  return { comments: comments.map(comment => presentComment(comment, viewer)), total };
+};
+
+// Delete a comment. One with replies becomes a tombstone so the replies keep their thread;
+// a tombstone whose last reply goes away is removed as well
+const removeComment = async (comment) => {
+  const Comment = mongoose.model('Comment');
+
+  if (!comment.deleted && comment.moderationStatus === 'approved') {
+    await adjustCommentCount(comment.targetType, comment.target, -1);
+  }
+
+  if (comment.repliesCount > 0) {
+    // Written directly: the emptied content would not pass the schema validators
+    await Comment.updateOne({ _id: comment._id }, {
+      $set: { deleted: true, deletedAt: new Date(), content: '', likes: [], editHistory: [] }
+    });
+    return 'tombstoned';
+  }
+
+  await Comment.deleteOne({ _id: comment._id });
+
+  if (comment.parentComment) {
+    const parent = await Comment.findOneAndUpdate(
+      { _id: comment.parentComment },
+      { $inc: { repliesCount: -1 } },
+      { new: true }
+    );
+
+    if (parent && parent.deleted && parent.repliesCount <= 0) {
+      await removeComment(parent);
+    }
+  }
+
+  return 'deleted';
+};
+
+// Keep the content's commentsCount in step with its comments
+const adjustCommentCount = (targetType, targetId, delta) => {
+  return mongoose.model(targetType).updateOne({ _id: targetId }, { $inc: { commentsCount: delta } });
+};
+
+// After a moderation change: `wasApproved` is whether the comment counted before
+const syncCommentCount = async (comment, wasApproved) => {
+  const isApproved = !comment.deleted && comment.moderationStatus === 'approved';
+  if (wasApproved !== isApproved) {
+    await adjustCommentCount(comment.targetType, comment.target, isApproved ? 1 : -1);
+  }
+};
+
+// Tell the parent comment's author about a reply, once the reply is public
+const notifyReply = async (comment) => {
+  if (!comment.parentComment) return;
+
+  const parent = await mongoose.model('Comment').findById(comment.parentComment).select('author').lean();
+  if (!parent) return;
+
+  await notify({
+    recipient: parent.author,
+    actor: comment.author._id || comment.author,
+    type: 'comment_reply',
+    post: comment.targetType === 'Post' ? comment.target : null,
+    comment: comment._id,
+    data: { parentComment: parent._id, targetType: comment.targetType, target: comment.target }
+  });
+};
+
+// Comments go away with the content they were written on
+const deleteTargetComments = (targetType, targetId) => {
+  return mongoose.model('Comment').deleteMany({ targetType, target: targetId });
+};
+
+// { type, id, title } of each comment's content, for listings across targets
+const attachTargetSummaries = async (comments) => {
+  const idsByType = {};
+  comments.forEach(comment => {
+    (idsByType[comment.targetType] = idsByType[comment.targetType] || []).push(comment.target);
+  });
+
+  const summaries = new Map();
+  await Promise.all(Object.entries(idsByType).map(async ([targetType, ids]) => {
+    const targets = await mongoose.model(targetType)
+      .find({ _id: { $in: ids } })
+      .select(TARGET_SUMMARY_FIELDS[targetType])
+      .lean();
+
+    targets.forEach(target => {
+      const title = target.title || target.name || (target.content || '').slice(0, 80);
+      summaries.set(`${targetType}:${target._id}`, { type: targetType, id: target._id, title, slug: target.slug });
+    });
+  }));
+
+  return comments.map(comment => ({
+    ...comment,
+    targetSummary: summaries.get(`${comment.targetType}:${comment.target}`) || {
+      type: comment.targetType,
+      id: comment.target,
+      title: null,
+      deleted: true
+    }
+  }));
+};
+
+module.exports = {
+  COMMENT_TARGET_TYPES,
+  COMMENT_SORTS,
+  CommentError,
+  findCommentTarget,
+  listCommentLevel,
+  presentComment,
+  removeComment,
+  adjustCommentCount,
+  syncCommentCount,
+  notifyReply,
+  deleteTargetComments,
+  attachTargetSummaries
+};
@@ -0,0 +1,45 @@
+// ==========================================
+// CONTENT EDITS - Authors may edit their posts and comments for a while after posting
+// EDIT_WINDOW_MINUTES sets how long (default 30)
+// ==========================================
+const EDIT_WINDOW_MINUTES = parseInt(process.env.EDIT_WINDOW_MINUTES) || 30;
+
+// Carries the HTTP status and error code the route should answer with
+class EditError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'EditError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const editableUntil = (document) => new Date(document.createdAt.getTime() + EDIT_WINDOW_MINUTES * 60 * 1000);
+
+// Only the author, and only inside the window
+const assertCanEdit = (document, user) => {
+  if (document.author.toString() !== user._id.toString()) {
+    throw new EditError(403, 'NOT_AUTHOR', 'لا يمكنك تعديل محتوى لم تكتبيه');
+  }
+
+  if (Date.now() > editableUntil(document).getTime()) {
+    throw new EditError(403, 'EDIT_WINDOW_EXPIRED', `لا يمكن التعديل بعد مرور ${EDIT_WINDOW_MINUTES} دقيقة على النشر`);
+  }
+};
+
+// Current version first, then the previous ones from newest to oldest
+const describeEditHistory = (document, fields) => ({
+  current: {
+    ...Object.fromEntries(fields.map(field => [field, document[field]])),
+    editedAt: document.editedAt
+  },
+  history: [...(document.editHistory || [])].reverse()
+});
+
+module.exports = {
+  EDIT_WINDOW_MINUTES,
+  EditError,
+  editableUntil,
+  assertCanEdit,
+  describeEditHistory
+};
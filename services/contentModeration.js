@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const { tokenize } = require('../utils/arabic');
+
+// ==========================================
+// CONTENT MODERATION - Review of posts and comments
+// MODERATION_MODE=pre holds everything until a moderator approves it; post (default)
+// publishes right away. MODERATION_MODE_POSTS / MODERATION_MODE_COMMENTS override it
+// per type. In both modes, content matching the blocklist is held for review
+// ==========================================
+const MODERATED_TYPES = {
+  posts: { model: 'Post', permission: 'posts:moderate', modeSetting: 'MODERATION_MODE_POSTS' },
+  comments: { model: 'Comment', permission: 'comments:moderate', modeSetting: 'MODERATION_MODE_COMMENTS' }
+};
+const BLOCKLIST_CACHE_MS = 60 * 1000;
+
+// Carries the HTTP status the route should answer with
+class ContentModerationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ContentModerationError';
+    this.status = status;
+  }
+}
+
+const moderationModeFor = (type) => {
+  const mode = process.env[MODERATED_TYPES[type].modeSetting] || process.env.MODERATION_MODE;
+  return mode === 'pre' ? 'pre' : 'post';
+};
+
+// Letters stretched to dodge the filter ("hmaaar", "حمااار") still match
+const matchTokens = (text) => tokenize(text).map(token => token.replace(/(.)\1+/gu, '$1'));
+
+// Bare lowercase domain of a link ("https://www.Example.com/x" -> "example.com")
+const normalizeDomain = (link) => String(link || '')
+  .trim()
+  .toLowerCase()
+  .replace(/^[a-z]+:\/\//, '')
+  .replace(/^www\./, '')
+  .split(/[/?#:]/)[0];
+
+// Matching form of a blocklist entry, or '' when nothing is left to match
+const normalizeBlockedTerm = (kind, term) => {
+  return kind === 'link' ? normalizeDomain(term) : matchTokens(term).join(' ');
+};
+
+const LINK_PATTERN = /(?:[a-z]+:\/\/)?(?:www\.)?((?:[a-z0-9-]+\.)+[a-z]{2,})/gi;
+
+// Blocklist entries found in a text (pure, `blocklist` is a list of { kind, normalized, term })
+const findBlockedTerms = (text, blocklist) => {
+  const padded = ` ${matchTokens(text).join(' ')} `;
+  const domains = [...String(text || '').matchAll(LINK_PATTERN)].map(match => normalizeDomain(match[1]));
+
+  return blocklist
+    .filter(entry => entry.kind === 'link'
+      ? domains.some(domain => domain === entry.normalized || domain.endsWith(`.${entry.normalized}`))
+      : padded.includes(` ${entry.normalized} `))
+    .map(entry => entry.term);
+};
+
+let blocklistCache = null;
+let blocklistLoadedAt = 0;
+
+const loadBlocklist = async () => {
+  if (!blocklistCache || Date.now() - blocklistLoadedAt > BLOCKLIST_CACHE_MS) {
+    const BlockedTerm = mongoose.model('BlockedTerm');
+    blocklistCache = await BlockedTerm.find().select('term normalized kind').lean();
+    blocklistLoadedAt = Date.now();
+  }
+  return blocklistCache;
+};
+
+// Called after the blocklist changes
+const invalidateBlocklist = () => {
+  blocklistCache = null;
+};
+
+// Moderation fields for content written by `author`, or edited when `previous` is the stored document
+// Editing never releases held content (e.g. hidden by reports): only a moderator's decision does.
+// An edit of rejected content goes back to review instead of being published
+const screenContent = async (type, text, author, previous = null) => {
+  const flags = findBlockedTerms(text, await loadBlocklist());
+
+  if (previous && previous.moderationStatus === 'pending') {
+    return {
+      moderationStatus: 'pending',
+      moderationFlags: flags.length > 0 ? flags : previous.moderationFlags,
+      moderationReason: previous.moderationReason
+    };
+  }
+
+  if (author.hasPermission(MODERATED_TYPES[type].permission)) {
+    return { moderationStatus: 'approved', moderationFlags: [], moderationReason: null };
+  }
+
+  if (flags.length > 0) {
+    return { moderationStatus: 'pending', moderationFlags: flags, moderationReason: 'blocklist' };
+  }
+
+  const held = moderationModeFor(type) === 'pre' || (previous && previous.moderationStatus === 'rejected');
+  return {
+    moderationStatus: held ? 'pending' : 'approved',
+    moderationFlags: [],
+    moderationReason: null
+  };
+};
+
+// Approve or reject a post or comment; `reason` is required to reject
+// Returns { document, before, wasApproved } so the caller can update what depends on it
+const reviewContent = async (type, id, decision, reviewer, reason) => {
+  const Model = mongoose.model(MODERATED_TYPES[type].model);
+
+  const document = mongoose.Types.ObjectId.isValid(id) ? await Model.findById(id) : null;
+  if (!document || document.deleted) {
+    throw new ContentModerationError(404, 'المحتوى غير موجود');
+  }
+
+  if (decision === 'reject' && !(reason && reason.trim())) {
+    throw new ContentModerationError(400, 'سبب الرفض مطلوب');
+  }
+
+  const before = document.toObject();
+  const wasApproved = document.moderationStatus === 'approved';
+
+  document.moderationStatus = decision === 'approve' ? 'approved' : 'rejected';
+  document.moderationReason = decision === 'approve' ? (reason || null) : reason.trim();
+  document.moderatedBy = reviewer._id;
+  document.moderatedAt = new Date();
+  await document.save();
+
+  return { document, before, wasApproved };
+};
+
+// Query condition for content a viewer may see
+const visibleContentFilter = (viewer) => {
+  return viewer
+    ? { $or: [{ moderationStatus: 'approved' }, { author: viewer._id }] }
+    : { moderationStatus: 'approved' };
+};
+
+const isVisibleContent = (document, viewer) => {
+  if (document.moderationStatus === 'approved') return true;
+  const authorId = document.author && (document.author._id || document.author);
+  return !!viewer && !!authorId && authorId.toString() === viewer._id.toString();
+};
+
+module.exports = {
+  MODERATED_TYPES,
+  ContentModerationError,
+  moderationModeFor,
+  normalizeBlockedTerm,
+  findBlockedTerms,
+  invalidateBlocklist,
+  screenContent,
+  reviewContent,
+  visibleContentFilter,
+  isVisibleContent
+};
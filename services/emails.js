@@ -0,0 +1,115 @@
+const { sendMail, frontendUrl } = require('./mailer');
+
+// ==========================================
+// TRANSACTIONAL EMAILS
+// ==========================================
+
+// Names are chosen by users, keep them from injecting markup into the HTML part
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Password reset link, valid for `expiresInMinutes`
+const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+  const link = frontendUrl(`/reset-password.html?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'إعادة تعيين كلمة المرور - ماما الجزائرية',
+    text: [
+      `مرحباً ${user.name}،`,
+      '',
+      'لقد طلبتِ إعادة تعيين كلمة المرور الخاصة بحسابك.',
+      `لإعادة تعيينها، اضغطي على الرابط التالي (صالح لمدة ${expiresInMinutes} دقيقة):`,
+      link,
+      '',
+      'إذا لم تطلبي ذلك، يمكنك تجاهل هذه الرسالة وستبقى كلمة المرور كما هي.'
+    ].join('\n'),
+    html: `
+      <div dir="rtl">
+        <p>مرحباً ${escapeHtml(user.name)}،</p>
+        <p>لقد طلبتِ إعادة تعيين كلمة المرور الخاصة بحسابك.</p>
+        <p><a href="${link}">إعادة تعيين كلمة المرور</a> (صالح لمدة ${expiresInMinutes} دقيقة)</p>
+        <p>إذا لم تطلبي ذلك، يمكنك تجاهل هذه الرسالة وستبقى كلمة المرور كما هي.</p>
+      </div>
+    `
+  });
+};
+
+// Confirmation sent once the password has actually been changed
+const sendPasswordChangedEmail = async (user) => {
+  return sendMail({
+    to: user.email,
+    subject: 'تم تغيير كلمة المرور - ماما الجزائرية',
+    text: [
+      `مرحباً ${user.name}،`,
+      '',
+      'تم تغيير كلمة المرور الخاصة بحسابك وتم تسجيل الخروج من جميع الأجهزة.',
+      'إذا لم تقومي بذلك، يرجى التواصل معنا فوراً.'
+    ].join('\n')
+  });
+};
+
+// Email address confirmation link, valid for `expiresInHours`
+const sendVerificationEmail = async (user, token, expiresInHours) => {
+  const link = frontendUrl(`/verify-email.html?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'تأكيد البريد الإلكتروني - ماما الجزائرية',
+    text: [
+      `مرحباً ${user.name}،`,
+      '',
+      'شكراً لانضمامك إلى ماما الجزائرية!',
+      `لتأكيد بريدك الإلكتروني، اضغطي على الرابط التالي (صالح لمدة ${expiresInHours} ساعة):`,
+      link
+    ].join('\n'),
+    html: `
+      <div dir="rtl">
+        <p>مرحباً ${escapeHtml(user.name)}،</p>
+        <p>شكراً لانضمامك إلى ماما الجزائرية!</p>
+        <p><a href="${link}">تأكيد البريد الإلكتروني</a> (صالح لمدة ${expiresInHours} ساعة)</p>
+      </div>
+    `
+  });
+};
+
+// Account deletion requested; logging back in lets the user cancel it
+const sendAccountDeletionScheduledEmail = async (user) => {
+  const date = user.deletionScheduledFor.toISOString().slice(0, 10);
+
+  return sendMail({
+    to: user.email,
+    subject: 'طلب حذف الحساب - ماما الجزائرية',
+    text: [
+      `مرحباً ${user.name}،`,
+      '',
+      `تم استلام طلب حذف حسابك، وسيتم حذف بياناتك نهائياً بتاريخ ${date}.`,
+      'إذا غيرتِ رأيك، يكفي تسجيل الدخول وإلغاء الطلب قبل هذا التاريخ.'
+    ].join('\n')
+  });
+};
+
+// Order status update, same text as the in-app notification
+const sendOrderStatusEmail = async (user, statusMessage) => {
+  return sendMail({
+    to: user.email,
+    subject: 'تحديث حالة الطلب - ماما الجزائرية',
+    text: [
+      `مرحباً ${user.name}،`,
+      '',
+      `${statusMessage}.`,
+      `يمكنك متابعة طلباتك من حسابك: ${frontendUrl('/orders.html')}`
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendAccountDeletionScheduledEmail,
+  sendPasswordChangedEmail,
+  sendVerificationEmail,
+  sendOrderStatusEmail
+};
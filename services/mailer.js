@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+
+// ==========================================
+// MAILER - Pluggable mail transports
+// MAIL_TRANSPORT selects the transport: console (default), file or smtp
+// ==========================================
+const MAIL_FROM = process.env.MAIL_FROM || 'Maman Algerienne <no-reply@mamanalgerienne.com>';
+const MAIL_DIR = process.env.MAIL_DIR || './logs/mail';
+
+const transports = {
+  // Prints the message, handy for local development
+  console: {
+    send: async (message) => {
+      console.log('📧 Mail to:', message.to);
+      console.log('   Subject:', message.subject);
+      console.log('   ' + message.text.split('\n').join('\n   '));
+      return { id: `console-${Date.now()}` };
+    }
+  },
+
+  // Writes each message as a JSON file in MAIL_DIR
+  file: {
+    send: async (message) => {
+      await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+      const id = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+      const filePath = path.join(MAIL_DIR, `${id}.json`);
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+      console.log('📧 Mail written to:', filePath);
+      return { id };
+    }
+  },
+
+  // Real delivery through nodemailer, configured with SMTP_* variables
+  smtp: {
+    send: async (message) => {
+      if (!transports.smtp.client) {
+        const nodemailer = require('nodemailer');
+        transports.smtp.client = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+        });
+      }
+      const info = await transports.smtp.client.sendMail(message);
+      return { id: info.messageId };
+    }
+  }
+};
+
+// Register a custom transport (e.g. a provider API) under a name
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send()`);
+  }
+  transports[name] = transport;
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+// Send a message through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = { from: MAIL_FROM, to, subject, text, html };
+  return getTransport().send(message);
+};
+
+// Build an absolute link to a frontend page
+const frontendUrl = (pagePath) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pagePath}`;
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  frontendUrl
+};
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { sendOrderStatusEmail } = require('./emails');
+
+// ==========================================
+// NOTIFICATIONS - In-app notification center
+// Community notifications follow preferences.notifications.comments,
+// order updates are always stored and also emailed when preferences.notifications.email is on
+// ==========================================
+const PREFERENCE_FLAGS = {
+  post_like: 'comments',
+  comment_like: 'comments',
+  comment_reply: 'comments'
+};
+
+const ORDER_STATUS_LABELS = {
+  pending: 'قيد الانتظار',
+  processing: 'قيد التحضير',
+  shipped: 'تم الشحن',
+  delivered: 'تم التسليم',
+  cancelled: 'ملغى'
+};
+
+const buildMessage = (type, actorName, data) => {
+  switch (type) {
+    case 'post_like':
+      return `أعجبت ${actorName} بمنشورك`;
+    case 'comment_like':
+      return `أعجبت ${actorName} بتعليقك`;
+    case 'comment_reply':
+      return `ردّت ${actorName} على تعليقك`;
+    case 'order_status':
+      return `تم تحديث حالة طلبك ${data.orderNumber || ''} إلى: ${ORDER_STATUS_LABELS[data.status] || data.status}`;
+    case 'follow_request':
+      return `أرسلت ${actorName} طلب متابعة`;
+    case 'follow_accepted':
+      return `قبلت ${actorName} طلب متابعتك`;
+    default:
+      return 'لديك إشعار جديد';
+  }
+};
+
+// Whether the recipient accepts this kind of notification
+const wantsNotification = (recipient, type) => {
+  const flag = PREFERENCE_FLAGS[type];
+  if (!flag) return true;
+  return recipient.preferences?.notifications?.[flag] !== false;
+};
+
+// Create a notification; never throws, a failed notification must not fail the action
+// Returns the notification, or null when skipped
+const notify = async ({ recipient, actor = null, type, post = null, comment = null, order = null, data = {} }) => {
+  try {
+    const User = mongoose.model('User');
+    const Notification = mongoose.model('Notification');
+
+    // Nobody is notified of their own actions
+    if (!recipient || (actor && actor.toString() === recipient.toString())) return null;
+
+    const [recipientUser, actorUser] = await Promise.all([
+      User.findById(recipient).select('name email status preferences'),
+      actor ? User.findById(actor).select('name') : null
+    ]);
+
+    if (!recipientUser || recipientUser.status === 'deleted') return null;
+    if (!wantsNotification(recipientUser, type)) return null;
+
+    const message = buildMessage(type, actorUser ? actorUser.name : '', data);
+    const fields = { recipient, actor, type, post, comment, order };
+
+    // Liking, unliking and liking again refreshes one notification instead of piling up
+    if (type === 'post_like' || type === 'comment_like') {
+      return await Notification.findOneAndUpdate(
+        fields,
+        { $set: { message, data, read: false, readAt: null, createdAt: new Date() } },
+        { upsert: true, new: true, timestamps: false }
+      );
+    }
+
+    const notification = await Notification.create({ ...fields, message, data });
+
+    if (type === 'order_status' && recipientUser.preferences?.notifications?.email !== false) {
+      sendOrderStatusEmail(recipientUser, message).catch(error => {
+        console.error('Order status email error:', error.message);
+      });
+    }
+
+    return notification;
+  } catch (error) {
+    console.error('❌ Notification error:', error.message);
+    return null;
+  }
+};
+
+// Remove a notification that no longer applies (e.g. an unliked post), unless already read
+const retract = async ({ recipient, actor, type, post = null, comment = null }) => {
+  try {
+    const Notification = mongoose.model('Notification');
+    await Notification.deleteOne({ recipient, actor, type, post, comment, read: false });
+  } catch (error) {
+    console.error('❌ Notification retract error:', error.message);
+  }
+};
+
+const countUnread = (userId) => {
+  const Notification = mongoose.model('Notification');
+  return Notification.countDocuments({ recipient: userId, read: false });
+};
+
+module.exports = {
+  ORDER_STATUS_LABELS,
+  notify,
+  retract,
+  countUnread
+};
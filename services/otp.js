@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { sendSms } = require('./sms');
+const { normalizePhone } = require('../utils/phone');
+
+// ==========================================
+// OTP - One-time codes sent by SMS
+// ==========================================
+const OTP_SECRET = process.env.OTP_SECRET || process.env.JWT_SECRET || 'maman-algerienne-secret-key-2024';
+const OTP_LENGTH = parseInt(process.env.OTP_LENGTH) || 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const OTP_MAX_SENDS_PER_HOUR = parseInt(process.env.OTP_MAX_SENDS_PER_HOUR) || 5;
+
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+
+// Carries the HTTP status and error code the route should answer with
+class OtpError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.name = 'OtpError';
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+const hashCode = (code) => crypto.createHmac('sha256', OTP_SECRET).update(code).digest('hex');
+
+const generateCode = () => crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+
+// Send a fresh code to `phone`, enforcing the resend cooldown and hourly send limit
+const requestOtp = async ({ userId, phone, purpose, reference = null }) => {
+  const Otp = mongoose.model('Otp');
+  const now = Date.now();
+
+  let otp = await Otp.findOne({ user: userId, purpose, reference });
+
+  if (otp) {
+    const sinceLastSend = now - otp.lastSentAt.getTime();
+
+    if (sinceLastSend < OTP_RESEND_COOLDOWN_SECONDS * 1000) {
+      throw new OtpError(429, 'OTP_COOLDOWN', 'يرجى الانتظار قبل طلب رمز جديد', {
+        retryAfter: Math.ceil((OTP_RESEND_COOLDOWN_SECONDS * 1000 - sinceLastSend) / 1000)
+      });
+    }
+
+    if (sinceLastSend >= SEND_WINDOW_MS) {
+      otp.sendCount = 0;
+    }
+
+    if (otp.sendCount >= OTP_MAX_SENDS_PER_HOUR) {
+      throw new OtpError(429, 'OTP_SEND_LIMIT', 'تم تجاوز عدد الرموز المسموح بها، يرجى المحاولة لاحقاً', {
+        retryAfter: Math.ceil((SEND_WINDOW_MS - sinceLastSend) / 1000)
+      });
+    }
+  } else {
+    otp = new Otp({ user: userId, purpose, reference, sendCount: 0 });
+  }
+
+  const code = generateCode();
+
+  otp.phone = normalizePhone(phone);
+  otp.codeHash = hashCode(code);
+  otp.expiresAt = new Date(now + OTP_TTL_MINUTES * 60 * 1000);
+  otp.attempts = 0;
+  otp.sendCount += 1;
+  otp.lastSentAt = new Date(now);
+  await otp.save();
+
+  await sendSms(otp.phone, `رمز التحقق الخاص بك في ماما الجزائرية: ${code}\nصالح لمدة ${OTP_TTL_MINUTES} دقائق.`);
+
+  console.log(`📱 OTP (${purpose}) sent for user:`, userId.toString());
+
+  return {
+    phone: otp.phone,
+    expiresAt: otp.expiresAt
+  };
+};
+
+// Check a code; on success the code is consumed and the OTP record returned
+const verifyOtp = async ({ userId, purpose, reference = null, code }) => {
+  const Otp = mongoose.model('Otp');
+
+  const otp = await Otp.findOne({ user: userId, purpose, reference });
+
+  if (!otp || otp.expiresAt.getTime() <= Date.now()) {
+    throw new OtpError(400, 'OTP_EXPIRED', 'الرمز منتهي الصلاحية، يرجى طلب رمز جديد');
+  }
+
+  if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+    throw new OtpError(429, 'OTP_TOO_MANY_ATTEMPTS', 'تم تجاوز عدد المحاولات، يرجى طلب رمز جديد');
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(String(code || '').trim()), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    otp.attempts += 1;
+    await otp.save();
+
+    throw new OtpError(400, 'OTP_INVALID', 'الرمز غير صحيح', {
+      attemptsLeft: Math.max(0, OTP_MAX_ATTEMPTS - otp.attempts)
+    });
+  }
+
+  await Otp.deleteOne({ _id: otp._id });
+
+  return otp;
+};
+
+module.exports = {
+  OtpError,
+  requestOtp,
+  verifyOtp
+};
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { isFollowing } = require('./relationships');
+
+// ==========================================
+// PROFILES - Privacy-aware public profiles
+// ==========================================
+
+// Can `viewer` (a user or null) see the full profile of `owner`?
+const canViewProfile = async (viewer, owner) => {
+  if (viewer && viewer._id.equals(owner._id)) return true;
+  if (viewer && viewer.hasPermission('users:view')) return true;
+
+  const visibility = owner.preferences?.privacy?.profileVisibility || 'public';
+
+  if (visibility === 'public') return true;
+  if (visibility === 'friends' && viewer) return isFollowing(viewer._id, owner._id);
+  return false;
+};
+
+// Public profile plus the contact details the owner chose to show
+const buildPublicProfile = (owner, viewer) => {
+  const profile = owner.getPublicProfile();
+  const privacy = owner.preferences?.privacy || {};
+  const isSelf = !!viewer && viewer._id.equals(owner._id);
+
+  if (privacy.showEmail || isSelf) profile.email = owner.email;
+  if (privacy.showPhone || isSelf) profile.phone = owner.phone;
+  profile.profileVisibility = privacy.profileVisibility || 'public';
+
+  return profile;
+};
+
+// Live counters, the stored `stats` are not maintained
+const computeProfileStats = async (userId) => {
+  const Post = mongoose.model('Post');
+  const Comment = mongoose.model('Comment');
+  const Follow = mongoose.model('Follow');
+
+  const [postsCount, commentsCount, followersCount, followingCount, likes] = await Promise.all([
+    Post.countDocuments({ author: userId, moderationStatus: 'approved' }),
+    Comment.countDocuments({ author: userId, deleted: { $ne: true }, moderationStatus: 'approved' }),
+    Follow.countDocuments({ following: userId, status: 'accepted' }),
+    Follow.countDocuments({ follower: userId, status: 'accepted' }),
+    Post.aggregate([
+      { $match: { author: new mongoose.Types.ObjectId(userId), moderationStatus: 'approved' } },
+      { $group: { _id: null, total: { $sum: { $size: { $ifNull: ['$likes', []] } } } } }
+    ])
+  ]);
+
+  return {
+    postsCount,
+    commentsCount,
+    followersCount,
+    followingCount,
+    likesReceived: likes[0]?.total || 0
+  };
+};
+
+module.exports = {
+  canViewProfile,
+  buildPublicProfile,
+  computeProfileStats
+};
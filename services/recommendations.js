@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const { publicArticleFilter } = require('./articleStatus');
+
+// ==========================================
+// RECOMMENDATIONS - Related articles and "read next"
+// Similarity mixes shared tags, same category, co-likes and co-views; the pairwise
+// computation is cached in ArticleSimilarity and refreshed by a background job
+// ==========================================
+const WEIGHTS = {
+  tags: 4,
+  category: 1.5,
+  likes: 3,
+  views: 2
+};
+const CACHED_RELATED_COUNT = 20;
+const VIEW_HISTORY_DAYS = 90;
+
+// |A ∩ B| / |A ∪ B|
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => { if (b.has(item)) shared++; });
+  return shared / (a.size + b.size - shared);
+};
+
+// |A ∩ B| / sqrt(|A| |B|): people who liked/read one also liked/read the other
+const cosine = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => { if (b.has(item)) shared++; });
+  return shared / Math.sqrt(a.size * b.size);
+};
+
+// Signals of every published article: { id, category, tags, likers, viewers }
+const loadSignals = async () => {
+  const Article = mongoose.model('Article');
+  const ArticleView = mongoose.model('ArticleView');
+
+  const [articles, views] = await Promise.all([
+    Article.find(publicArticleFilter()).select('category tags likes').lean(),
+    ArticleView.aggregate([
+      { $match: { lastViewedAt: { $gte: new Date(Date.now() - VIEW_HISTORY_DAYS * 24 * 60 * 60 * 1000) } } },
+      { $group: { _id: '$article', viewers: { $push: '$user' } } }
+    ])
+  ]);
+
+  const viewersByArticle = new Map(views.map(view => [
+    view._id.toString(),
+    new Set(view.viewers.map(String))
+  ]));
+
+  return articles.map(article => ({
+    id: article._id.toString(),
+    category: article.category,
+    tags: new Set((article.tags || []).map(tag => tag.trim().toLowerCase())),
+    likers: new Set((article.likes || []).map(String)),
+    viewers: viewersByArticle.get(article._id.toString()) || new Set()
+  }));
+};
+
+// Most similar articles to `target` among `candidates`
+const rankRelated = (target, candidates) => candidates
+  .filter(candidate => candidate.id !== target.id)
+  .map(candidate => {
+    const signals = {
+      tags: jaccard(target.tags, candidate.tags),
+      category: target.category === candidate.category ? 1 : 0,
+      likes: cosine(target.likers, candidate.likers),
+      views: cosine(target.viewers, candidate.viewers)
+    };
+
+    const score = Object.entries(signals).reduce((sum, [signal, value]) => sum + WEIGHTS[signal] * value, 0);
+    const reasons = Object.keys(signals).filter(signal => signals[signal] > 0);
+
+    return { article: candidate.id, score: Math.round(score * 1000) / 1000, reasons };
+  })
+  .filter(entry => entry.score > 0)
+  .sort((a, b) => b.score - a.score)
+  .slice(0, CACHED_RELATED_COUNT);
+
+// Recompute the whole cache (background job). Pairwise, which is fine for a few thousand articles
+const refreshSimilarities = async () => {
+  const ArticleSimilarity = mongoose.model('ArticleSimilarity');
+  const signals = await loadSignals();
+
+  const operations = signals.map(target => ({
+    updateOne: {
+      filter: { article: target.id },
+      update: { $set: { related: rankRelated(target, signals), computedAt: new Date() } },
+      upsert: true
+    }
+  }));
+
+  if (operations.length > 0) {
+    await ArticleSimilarity.bulkWrite(operations, { ordered: false });
+  }
+
+  // Articles that are no longer published
+  await ArticleSimilarity.deleteMany({ article: { $nin: signals.map(signal => signal.id) } });
+
+  return signals.length;
+};
+
+// Related articles of one article from the cache; none until the job has seen it
+// (ranking needs the signals of every article, too heavy for a request)
+const cachedRelated = async (articleId) => {
+  const ArticleSimilarity = mongoose.model('ArticleSimilarity');
+
+  const cached = await ArticleSimilarity.findOne({ article: articleId }).lean();
+  return cached ? cached.related : [];
+};
+
+// Remember that a member read an article
+const recordArticleView = async (articleId, userId) => {
+  try {
+    const ArticleView = mongoose.model('ArticleView');
+    await ArticleView.updateOne(
+      { article: articleId, user: userId },
+      { $set: { lastViewedAt: new Date() }, $inc: { count: 1 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('❌ Article view tracking error:', error.message);
+  }
+};
+
+// Up to `limit` published articles to read after `article`, skipping what `viewer` already read
+// Falls back to recent articles of the same category when the signals are too thin
+// or the article is not in the cache yet
+const getRelatedArticles = async (article, viewer, limit = 6) => {
+  const Article = mongoose.model('Article');
+  const ArticleView = mongoose.model('ArticleView');
+
+  const excluded = new Set([article._id.toString()]);
+  if (viewer) {
+    const read = await ArticleView.find({ user: viewer._id }).select('article').lean();
+    read.forEach(view => excluded.add(view.article.toString()));
+  }
+
+  const related = (await cachedRelated(article._id))
+    .filter(entry => !excluded.has(entry.article.toString()));
+
+  const picked = related.slice(0, limit);
+  const ids = picked.map(entry => entry.article);
+
+  if (ids.length < limit) {
+    const fillers = await Article.find({
+      ...publicArticleFilter(),
+      category: article.category,
+      _id: { $nin: [...excluded, ...ids] }
+    })
+      .sort({ publishedAt: -1 })
+      .limit(limit - ids.length)
+      .select('_id')
+      .lean();
+
+    fillers.forEach(filler => {
+      ids.push(filler._id);
+      picked.push({ article: filler._id, score: 0, reasons: ['category'] });
+    });
+  }
+
+  const articles = await Article.find({ _id: { $in: ids }, ...publicArticleFilter() })
+    .select('title slug excerpt images category tags views publishedAt author')
+    .populate('author', 'name avatar')
+    .lean();
+
+  const byId = new Map(articles.map(found => [found._id.toString(), found]));
+
+  return picked
+    .filter(entry => byId.has(entry.article.toString()))
+    .map(entry => ({
+      ...byId.get(entry.article.toString()),
+      relevance: { score: entry.score, reasons: entry.reasons }
+    }));
+};
+
+module.exports = {
+  refreshSimilarities,
+  recordArticleView,
+  getRelatedArticles
+};
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// RELATIONSHIPS - Follows between users
+// An accepted follow is what "friends" visibility means
+// ==========================================
+
+// Does `followerId` have an accepted follow on `followingId`?
+const isFollowing = async (followerId, followingId) => {
+  const Follow = mongoose.model('Follow');
+  return !!(await Follow.exists({ follower: followerId, following: followingId, status: 'accepted' }));
+};
+
+// Relationship of `viewerId` with `ownerId`: null, 'pending' or 'accepted'
+const followStatus = async (viewerId, ownerId) => {
+  const Follow = mongoose.model('Follow');
+  const follow = await Follow.findOne({ follower: viewerId, following: ownerId }).select('status').lean();
+  return follow ? follow.status : null;
+};
+
+const RESTRICTED_VISIBILITIES = ['friends', 'private'];
+
+// Visibility stored on the user's posts (Post.authorVisibility)
+const authorVisibilityOf = (user) => user.preferences?.privacy?.profileVisibility || 'public';
+
+// Conditions on posts for the ones `viewer` (a user or null) may see: posts of public
+// profiles, the viewer's own and those of friends-only profiles the viewer follows
+const visiblePostsFilter = async (viewer) => {
+  if (viewer && viewer.hasPermission('posts:moderate')) return {};
+
+  const publicAuthors = { authorVisibility: { $nin: RESTRICTED_VISIBILITIES } };
+  if (!viewer) return publicAuthors;
+
+  const Follow = mongoose.model('Follow');
+  const followedIds = await Follow.find({ follower: viewer._id, status: 'accepted' }).distinct('following');
+
+  return {
+    $or: [
+      publicAuthors,
+      { author: viewer._id },
+      { authorVisibility: 'friends', author: { $in: followedIds } }
+    ]
+  };
+};
+
+// Same rule as visiblePostsFilter for a single post
+const canSeePostAuthor = async (post, viewer) => {
+  if (!RESTRICTED_VISIBILITIES.includes(post.authorVisibility)) return true;
+  if (!viewer) return false;
+  if (viewer.hasPermission('posts:moderate')) return true;
+
+  const authorId = post.author._id || post.author;
+  if (authorId.toString() === viewer._id.toString()) return true;
+
+  return post.authorVisibility === 'friends' && isFollowing(viewer._id, authorId);
+};
+
+// Copy the user's current profile visibility onto all of their posts
+const syncAuthorVisibility = async (user) => {
+  const Post = mongoose.model('Post');
+  await Post.updateMany({ author: user._id }, { $set: { authorVisibility: authorVisibilityOf(user) } });
+};
+
+module.exports = {
+  isFollowing,
+  followStatus,
+  authorVisibilityOf,
+  visiblePostsFilter,
+  canSeePostAuthor,
+  syncAuthorVisibility
+};
@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+const { publicArticleFilter } = require('./articleStatus');
+const { isVisibleContent } = require('./contentModeration');
+const { canSeePostAuthor } = require('./relationships');
+const { removeComment, deleteTargetComments, syncCommentCount } = require('./comments');
+const { suspendUser, suspensionEndFrom } = require('./userModeration');
+
+// ==========================================
+// REPORTS - Members flag posts, comments, articles and users
+// Posts and comments reported by REPORTS_AUTO_HIDE_THRESHOLD members (default 3)
+// are held until a moderator looks at them; articles and accounts wait for review
+// ==========================================
+const REPORT_REASONS = {
+  harmful_advice: 'نصيحة قد تكون ضارة',
+  harassment: 'تحرش أو إساءة',
+  hate: 'خطاب كراهية',
+  spam: 'إعلان أو محتوى مزعج',
+  inappropriate: 'محتوى غير لائق',
+  misinformation: 'معلومات خاطئة',
+  other: 'سبب آخر'
+};
+const REPORT_TARGET_TYPES = ['Post', 'Comment', 'Article', 'User'];
+const AUTO_HIDE_THRESHOLD = parseInt(process.env.REPORTS_AUTO_HIDE_THRESHOLD) || 3;
+const AUTO_HIDDEN_TYPES = ['Post', 'Comment'];
+
+// Permission needed to remove each kind of reported content
+const REMOVAL_PERMISSIONS = {
+  Post: 'posts:moderate',
+  Comment: 'comments:moderate',
+  Article: 'articles:publish'
+};
+
+const TARGET_SUMMARY_FIELDS = {
+  Post: 'content author moderationStatus authorVisibility',
+  Comment: 'content author moderationStatus deleted targetType target',
+  Article: 'title slug status author',
+  User: 'name email avatar status'
+};
+
+// Carries the HTTP status the route should answer with
+class ReportError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ReportError';
+    this.status = status;
+  }
+}
+
+// Load what a member wants to report; they can only report what they can see
+// Returns { target, author }
+const findReportTarget = async (targetType, targetId, reporter) => {
+  if (!REPORT_TARGET_TYPES.includes(targetType)) {
+    throw new ReportError(400, 'نوع المحتوى غير صالح');
+  }
+
+  const notFound = new ReportError(404, 'المحتوى غير موجود');
+  if (!mongoose.Types.ObjectId.isValid(targetId)) throw notFound;
+
+  const Model = mongoose.model(targetType);
+  const filter = targetType === 'Article' ? { _id: targetId, ...publicArticleFilter() } : { _id: targetId };
+  const target = await Model.findOne(filter).select(TARGET_SUMMARY_FIELDS[targetType]).lean();
+
+  if (!target || target.deleted || target.status === 'deleted') throw notFound;
+  if ((targetType === 'Post' || targetType === 'Comment') && !isVisibleContent(target, reporter)) throw notFound;
+  if (targetType === 'Post' && !(await canSeePostAuthor(target, reporter))) throw notFound;
+
+  const author = targetType === 'User' ? target._id : target.author;
+  if (author && author.toString() === reporter._id.toString()) {
+    throw new ReportError(400, 'لا يمكنك الإبلاغ عن محتواك أو حسابك');
+  }
+
+  return { target, author };
+};
+
+// Hold reported community content until a moderator decides
+const hideReportedContent = async (targetType, targetId) => {
+  const content = await mongoose.model(targetType).findById(targetId);
+  if (!content || content.moderationStatus !== 'approved') return false;
+
+  content.moderationStatus = 'pending';
+  content.moderationReason = 'reports';
+  await content.save();
+  if (targetType === 'Comment') await syncCommentCount(content, true);
+
+  console.log(`🚩 ${targetType} ${targetId} hidden after ${AUTO_HIDE_THRESHOLD} reports`);
+  return true;
+};
+
+// Publish again what the reports had hidden
+const restoreReportedContent = async (targetType, targetId) => {
+  if (!AUTO_HIDDEN_TYPES.includes(targetType)) return;
+
+  const content = await mongoose.model(targetType).findById(targetId);
+  if (!content || content.moderationStatus !== 'pending' || content.moderationReason !== 'reports') return;
+
+  content.moderationStatus = 'approved';
+  content.moderationReason = null;
+  await content.save();
+  if (targetType === 'Comment') await syncCommentCount(content, false);
+};
+
+// File a report; a member's second report of the same target is not counted again
+// Returns { report, duplicate, hidden }
+const createReport = async (reporter, { targetType, targetId, reason, details }) => {
+  const Report = mongoose.model('Report');
+
+  if (!REPORT_REASONS[reason]) {
+    throw new ReportError(400, 'سبب الإبلاغ غير صالح');
+  }
+
+  const { target, author } = await findReportTarget(targetType, targetId, reporter);
+  const key = { reporter: reporter._id, targetType, target: target._id, status: 'open' };
+
+  const existing = await Report.findOne(key);
+  if (existing) return { report: existing, duplicate: true, hidden: false };
+
+  let report;
+  try {
+    report = await Report.create({ ...key, targetAuthor: author || null, reason, details });
+  } catch (error) {
+    // Two quick submissions: the partial unique index kept the first one
+    if (error.code === 11000) return { report: await Report.findOne(key), duplicate: true, hidden: false };
+    throw error;
+  }
+
+  let hidden = false;
+  if (AUTO_HIDDEN_TYPES.includes(targetType)) {
+    const openReports = await Report.countDocuments({ targetType, target: target._id, status: 'open' });
+    if (openReports >= AUTO_HIDE_THRESHOLD) {
+      hidden = await hideReportedContent(targetType, target._id);
+    }
+  }
+
+  return { report, duplicate: false, hidden };
+};
+
+// Permissions a moderator needs for these resolution actions
+const permissionsForActions = (targetType, actions) => {
+  const permissions = [];
+  if (actions.includes('remove_content')) permissions.push(REMOVAL_PERMISSIONS[targetType]);
+  if (actions.includes('suspend_user')) permissions.push('users:manage');
+  return permissions;
+};
+
+// Take down reported content: posts and comments are deleted, articles archived
+const removeReportedContent = async (targetType, targetId) => {
+  const Model = mongoose.model(targetType);
+  const content = await Model.findById(targetId);
+  if (!content) return;
+
+  switch (targetType) {
+    case 'Post':
+      await Model.deleteOne({ _id: content._id });
+      await deleteTargetComments('Post', content._id);
+      break;
+    case 'Comment':
+      if (!content.deleted) await removeComment(content);
+      break;
+    case 'Article':
+      content.status = 'archived';
+      await content.save();
+      break;
+  }
+};
+
+// Open reports of one target, or a 404
+const openReportsOf = async (targetType, targetId) => {
+  const Report = mongoose.model('Report');
+
+  const reports = mongoose.Types.ObjectId.isValid(targetId)
+    ? await Report.find({ targetType, target: targetId, status: 'open' })
+    : [];
+
+  if (reports.length === 0) {
+    throw new ReportError(404, 'لا توجد بلاغات مفتوحة لهذا المحتوى');
+  }
+
+  return reports;
+};
+
+// Close every open report of a target after acting on it
+// `actions`: any of 'remove_content', 'suspend_user' (the author, with { until } or { days })
+const resolveReports = async (targetType, targetId, moderator, { actions = [], note, until, days }) => {
+  const Report = mongoose.model('Report');
+  const User = mongoose.model('User');
+
+  const reports = await openReportsOf(targetType, targetId);
+
+  if (actions.length === 0 || actions.some(action => !['remove_content', 'suspend_user'].includes(action))) {
+    throw new ReportError(400, 'يجب اختيار إجراء صالح: حذف المحتوى أو تعليق الحساب');
+  }
+  if (actions.includes('remove_content') && targetType === 'User') {
+    throw new ReportError(400, 'لا يوجد محتوى لحذفه في بلاغ عن حساب');
+  }
+
+  if (actions.includes('suspend_user')) {
+    const author = reports[0].targetAuthor && await User.findById(reports[0].targetAuthor);
+    if (!author || author.status === 'deleted') {
+      throw new ReportError(404, 'صاحب المحتوى غير موجود');
+    }
+    await suspendUser(author, moderator, {
+      reason: note || REPORT_REASONS[reports[0].reason],
+      until: suspensionEndFrom({ until, days })
+    });
+  }
+
+  if (actions.includes('remove_content')) {
+    await removeReportedContent(targetType, targetId);
+  } else {
+    await restoreReportedContent(targetType, targetId);
+  }
+
+  await Report.updateMany(
+    { _id: { $in: reports.map(report => report._id) } },
+    { $set: { status: 'resolved', resolution: { actions, note: note || null, by: moderator._id, at: new Date() } } }
+  );
+
+  return reports.length;
+};
+
+// Close every open report of a target without action; content hidden by them comes back
+const dismissReports = async (targetType, targetId, moderator, { note }) => {
+  const Report = mongoose.model('Report');
+
+  const reports = await openReportsOf(targetType, targetId);
+  await restoreReportedContent(targetType, targetId);
+
+  await Report.updateMany(
+    { _id: { $in: reports.map(report => report._id) } },
+    { $set: { status: 'dismissed', resolution: { actions: [], note: note || null, by: moderator._id, at: new Date() } } }
+  );
+
+  return reports.length;
+};
+
+// Attach a short description of each reported target to queue entries
+const attachReportTargets = async (entries) => {
+  const idsByType = {};
+  entries.forEach(entry => {
+    (idsByType[entry.targetType] = idsByType[entry.targetType] || []).push(entry.target);
+  });
+
+  const targets = new Map();
+  await Promise.all(Object.entries(idsByType).map(async ([targetType, ids]) => {
+    const found = await mongoose.model(targetType)
+      .find({ _id: { $in: ids } })
+      .select(TARGET_SUMMARY_FIELDS[targetType])
+      .lean();
+    found.forEach(target => targets.set(`${targetType}:${target._id}`, target));
+  }));
+
+  return entries.map(entry => ({
+    ...entry,
+    targetDocument: targets.get(`${entry.targetType}:${entry.target}`) || null
+  }));
+};
+
+module.exports = {
+  REPORT_REASONS,
+  REPORT_TARGET_TYPES,
+  ReportError,
+  createReport,
+  permissionsForActions,
+  resolveReports,
+  dismissReports,
+  attachReportTargets
+};
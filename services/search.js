@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+const { tokenize, normalizeChar, normalizeText, normalizeForSearch } = require('../utils/arabic');
+const { stripHtml } = require('../models/plugins/searchable');
+
+// ==========================================
+// SEARCH - Relevance-ranked search over normalized text, with highlighted snippets
+// ==========================================
+const SNIPPET_RADIUS = 90;
+const MAX_TRACKED_QUERY_LENGTH = 100;
+// A query is only suggested to others once it has been searched this many times,
+// so one person's searches (names, phone numbers...) never show up for everyone
+const MIN_SUGGESTED_QUERY_COUNT = parseInt(process.env.SEARCH_SUGGESTION_MIN_COUNT) || 5;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const isWordChar = (char) => /[\p{L}\p{N}\p{M}]/u.test(char || '');
+
+// Terms to look for when highlighting: the normalized search terms plus the query's
+// words before Latin folding, so "shorba" is found in a text that spells it that way
+const highlightTerms = (q) => [...new Set([
+  ...tokenize(q),
+  ...normalizeText(q).split(/[^\p{L}\p{N}]+/u)
+])].filter(term => term.length > 1);
+
+// [start, end) ranges of `text` containing a term, widened to whole words
+const matchRanges = (text, terms) => {
+  // Normalize character by character, remembering where each normalized char came from
+  let normalized = '';
+  const origin = [];
+  let offset = 0;
+  for (const char of text) {
+    const replacement = normalizeChar(char);
+    for (let i = 0; i < replacement.length; i++) {
+      normalized += replacement[i];
+      origin.push(offset);
+    }
+    offset += char.length;
+  }
+
+  const ranges = [];
+  terms.forEach(term => {
+    let index = normalized.indexOf(term);
+    while (index !== -1) {
+      let start = origin[index];
+      let end = index + term.length < origin.length ? origin[index + term.length] : text.length;
+      while (start > 0 && isWordChar(text[start - 1])) start--;
+      while (end < text.length && isWordChar(text[end])) end++;
+      ranges.push([start, end]);
+      index = normalized.indexOf(term, index + term.length);
+    }
+  });
+
+  // Sort and merge overlapping ranges
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+};
+
+// HTML-escaped `text` with matches wrapped in <mark>
+const markRanges = (text, ranges, from = 0, to = text.length) => {
+  let html = '';
+  let cursor = from;
+  ranges.forEach(([start, end]) => {
+    if (end <= from || start >= to) return;
+    html += escapeHtml(text.slice(cursor, Math.max(start, from)));
+    html += `<mark>${escapeHtml(text.slice(Math.max(start, from), Math.min(end, to)))}</mark>`;
+    cursor = Math.min(end, to);
+  });
+  return html + escapeHtml(text.slice(cursor, to));
+};
+
+// Whole text with matches highlighted (for titles)
+const highlight = (text, terms) => {
+  const plain = stripHtml(text).replace(/\s+/g, ' ').trim();
+  return markRanges(plain, matchRanges(plain, terms));
+};
+
+// Short excerpt around the first match (or the beginning), matches highlighted
+const snippet = (text, terms) => {
+  const plain = stripHtml(text).replace(/\s+/g, ' ').trim();
+  const ranges = matchRanges(plain, terms);
+  const center = ranges.length > 0 ? ranges[0][0] : 0;
+
+  let from = Math.max(0, center - SNIPPET_RADIUS);
+  let to = Math.min(plain.length, center + SNIPPET_RADIUS);
+
+  // Do not cut words in half
+  if (from > 0) {
+    const space = plain.indexOf(' ', from);
+    if (space !== -1 && space < center) from = space + 1;
+  }
+  if (to < plain.length) {
+    const space = plain.lastIndexOf(' ', to);
+    if (space > center) to = space;
+  }
+
+  return (from > 0 ? '… ' : '') + markRanges(plain, ranges, from, to) + (to < plain.length ? ' …' : '');
+};
+
+// Search a searchable model (see models/plugins/searchable)
+// options:
+//   q                  the user's query
+//   filter             base conditions (e.g. only published articles)
+//   category, tags     tags: array or comma-separated list, any of them matches
+//   from, to           date range on `dateField`
+//   titleField, snippetFields, dateField   how to present results (titleField may be null)
+//   page, limit, sort (used when there is no query), populate, select
+// Returns { results, total } where each result has a `highlight` { title, snippet } when q is set
+const searchDocuments = async (Model, options) => {
+  const {
+    q,
+    filter = {},
+    category,
+    tags,
+    from,
+    to,
+    titleField,
+    snippetFields,
+    dateField = 'createdAt',
+    page = 1,
+    limit = 10,
+    sort = { [dateField]: -1 },
+    populate,
+    select
+  } = options;
+
+  const terms = tokenize(q);
+  const query = { ...filter };
+
+  if (category && category !== 'all') query.category = category;
+
+  const tagList = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const cleanTags = tagList.map(tag => String(tag).trim()).filter(Boolean);
+  if (cleanTags.length > 0) query.tags = { $in: cleanTags };
+
+  if (from || to) {
+    query[dateField] = {};
+    if (from && !isNaN(new Date(from))) query[dateField].$gte = new Date(from);
+    if (to && !isNaN(new Date(to))) query[dateField].$lte = new Date(to);
+  }
+
+  const run = (conditions, projection, order) => {
+    let cursor = Model.find(conditions, projection)
+      .sort(order)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+    if (select) cursor = cursor.select(select);
+    if (populate) cursor = cursor.populate(...populate);
+    return Promise.all([cursor, Model.countDocuments(conditions)]);
+  };
+
+  let results;
+  let total;
+
+  if (terms.length === 0) {
+    [results, total] = await run(query, null, sort);
+    return { results, total };
+  }
+
+  // Ranked full-text search on the weighted index
+  [results, total] = await run(
+    { ...query, $text: { $search: terms.join(' ') } },
+    { score: { $meta: 'textScore' } },
+    { score: { $meta: 'textScore' }, [dateField]: -1 }
+  );
+
+  // Nothing for whole words: fall back to partial matches ("مدرس" finds "مدرسه")
+  if (total === 0) {
+    const partial = {
+      ...query,
+      $and: terms.map(term => ({
+        $or: [
+          { 'search.title': { $regex: escapeRegex(term) } },
+          { 'search.tags': { $regex: escapeRegex(term) } },
+          { 'search.body': { $regex: escapeRegex(term) } }
+        ]
+      }))
+    };
+    [results, total] = await run(partial, null, { [dateField]: -1 });
+  }
+
+  const marks = highlightTerms(q);
+  results.forEach(result => {
+    result.highlight = {
+      title: titleField ? highlight(result[titleField], marks) : null,
+      snippet: snippetFields.length > 0 ? snippet(snippetFields.map(field => result[field] || '').join(' '), marks) : null
+    };
+  });
+
+  return { results, total };
+};
+
+// Titles whose words start with the typed prefix ("رمض" -> "وصفات رمضان")
+// Returns [{ _id, text, ...extra fields }]
+const suggestTitles = async (Model, prefix, { filter = {}, titleField, select = '', limit = 5 }) => {
+  const documents = await Model.find({
+    ...filter,
+    'search.title': { $regex: `(^| )${escapeRegex(prefix)}` }
+  })
+    .select(`${titleField} ${select}`)
+    .limit(limit)
+    .lean();
+
+  return documents.map(document => ({ ...document, text: document[titleField] }));
+};
+
+// Tags starting with the prefix, most used first
+const suggestTags = async (Model, prefix, { filter = {}, limit = 5 }) => {
+  const tags = await Model.aggregate([
+    { $match: { ...filter, 'search.tags': { $regex: `(^| )${escapeRegex(prefix)}` } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: 50 }
+  ]);
+
+  return tags
+    .filter(tag => normalizeForSearch(tag._id).split(' ').some(word => word.startsWith(prefix)))
+    .slice(0, limit)
+    .map(tag => ({ text: tag._id, count: tag.count }));
+};
+
+// Popular past queries that found something, starting with the prefix
+const suggestQueries = async (prefix, limit = 5) => {
+  const SearchQuery = mongoose.model('SearchQuery');
+
+  const queries = await SearchQuery.find({
+    normalized: { $regex: `^${escapeRegex(prefix)}` },
+    lastResultsCount: { $gt: 0 },
+    count: { $gte: MIN_SUGGESTED_QUERY_COUNT }
+  })
+    .sort({ count: -1 })
+    .limit(limit)
+    .select('query count')
+    .lean();
+
+  return queries.map(query => ({ text: query.query, count: query.count }));
+};
+
+// Count a search (for the admin's popular and zero-result queries); never throws
+const trackSearchQuery = async (q, resultsCount) => {
+  try {
+    const SearchQuery = mongoose.model('SearchQuery');
+    const query = String(q || '').trim().slice(0, MAX_TRACKED_QUERY_LENGTH);
+    const normalized = normalizeForSearch(query);
+    if (!normalized) return;
+
+    await SearchQuery.updateOne(
+      { normalized },
+      {
+        $set: { query, lastResultsCount: resultsCount, lastSearchedAt: new Date() },
+        $inc: { count: 1, zeroResultCount: resultsCount === 0 ? 1 : 0 }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('❌ Search tracking error:', error.message);
+  }
+};
+
+module.exports = {
+  searchDocuments,
+  suggestTitles,
+  suggestTags,
+  suggestQueries,
+  trackSearchQuery,
+  highlight,
+  snippet
+};
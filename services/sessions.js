@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { describeUserAgent } = require('../utils/userAgent');
+
+// ==========================================
+// SESSIONS - Access tokens and rotating refresh tokens
+// ==========================================
+const JWT_SECRET = process.env.JWT_SECRET || 'maman-algerienne-secret-key-2024';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Carries the HTTP status and error code the route should answer with
+class SessionError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const clientInfo = (req) => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 300),
+  ip: req.ip || req.connection?.remoteAddress || ''
+});
+
+// Short-lived JWT bound to the session and the user's tokenVersion
+const signAccessToken = (user, session) => jwt.sign(
+  { userId: user._id, sid: session._id, tv: user.tokenVersion || 0 },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Refresh tokens look like "<sessionId>.<secret>"; only the secret's hash is stored
+const issueTokens = (user, session) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  session.refreshTokenHash = hashSecret(secret);
+
+  return {
+    accessToken: signAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Open a new session for a freshly authenticated user
+const createSession = async (user, req) => {
+  const Session = mongoose.model('Session');
+
+  const session = new Session({
+    user: user._id,
+    ...clientInfo(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const tokens = issueTokens(user, session);
+  await session.save();
+
+  return { ...tokens, session };
+};
+
+// Find the active session a refresh token belongs to
+const findSessionByRefreshToken = async (refreshToken) => {
+  const Session = mongoose.model('Session');
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw new SessionError(401, 'INVALID_REFRESH_TOKEN', 'رمز التحديث غير صالح');
+  }
+
+  const session = await Session.findById(sessionId);
+
+  if (!session || !session.isActive()) {
+    throw new SessionError(401, 'INVALID_REFRESH_TOKEN', 'رمز التحديث غير صالح');
+  }
+
+  return { session, secret };
+};
+
+// Exchange a refresh token for a new token pair; the old refresh token stops working
+const rotateSession = async (refreshToken, req) => {
+  const User = mongoose.model('User');
+  const { session, secret } = await findSessionByRefreshToken(refreshToken);
+
+  // An old refresh token coming back means it was stolen: kill the whole session
+  if (hashSecret(secret) !== session.refreshTokenHash) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'token_reuse';
+    await session.save();
+    console.log('⚠️ Refresh token reuse detected, session revoked:', session._id.toString());
+    throw new SessionError(401, 'REFRESH_TOKEN_REUSED', 'تم إلغاء الجلسة، يرجى تسجيل الدخول من جديد');
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user || user.status !== 'active') {
+    throw new SessionError(403, 'ACCOUNT_SUSPENDED', 'تم تعليق هذا الحساب', user ? {
+      accountStatus: user.status,
+      reason: user.statusReason || null,
+      suspendedUntil: user.suspendedUntil || null
+    } : {});
+  }
+
+  const tokens = issueTokens(user, session);
+  Object.assign(session, clientInfo(req), { lastUsedAt: new Date() });
+  await session.save();
+
+  return { ...tokens, session, user };
+};
+
+// Revoke a single session
+const revokeSession = async (sessionId, reason = 'logout') => {
+  const Session = mongoose.model('Session');
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Revoke every session of a user, optionally keeping one (the current device)
+const revokeAllSessions = async (userId, reason = 'logout_all', exceptSessionId = null) => {
+  const Session = mongoose.model('Session');
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Record activity on a session, at most once a minute to spare the database
+const touchSession = async (session, req) => {
+  if (Date.now() - session.lastUsedAt.getTime() < SESSION_TOUCH_INTERVAL_MS) {
+    return;
+  }
+
+  const Session = mongoose.model('Session');
+  const { ip } = clientInfo(req);
+
+  session.lastUsedAt = new Date();
+  session.ip = ip;
+  await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: session.lastUsedAt, ip } });
+};
+
+// Active sessions of a user, most recently used first
+const listSessions = (userId) => {
+  const Session = mongoose.model('Session');
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Shape a session for API responses (never exposes the refresh token hash)
+const describeSession = (session, currentSessionId = null) => ({
+  id: session._id,
+  device: describeUserAgent(session.userAgent),
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: !!currentSessionId && session._id.equals(currentSessionId)
+});
+
+module.exports = {
+  SessionError,
+  signAccessToken,
+  createSession,
+  findSessionByRefreshToken,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  touchSession,
+  listSessions,
+  describeSession
+};
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+// ==========================================
+// SMS - Pluggable SMS providers
+// SMS_PROVIDER selects the provider: log (default) or any registered one
+// ==========================================
+const SMS_LOG_FILE = process.env.SMS_LOG_FILE || './logs/sms.log';
+
+const providers = {
+  // Appends every message to SMS_LOG_FILE instead of sending it
+  log: {
+    send: async ({ to, body }) => {
+      await fs.promises.mkdir(path.dirname(SMS_LOG_FILE), { recursive: true });
+      const line = `[${new Date().toISOString()}] to=${to} ${body}\n`;
+      await fs.promises.appendFile(SMS_LOG_FILE, line);
+      console.log('📱 SMS logged for:', to);
+      return { id: `log-${Date.now()}` };
+    }
+  }
+};
+
+// Register a real gateway under a name; it must implement send({ to, body })
+const registerProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`SMS provider "${name}" must implement send()`);
+  }
+  providers[name] = provider;
+};
+
+const getProvider = () => {
+  const name = process.env.SMS_PROVIDER || 'log';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return provider;
+};
+
+// Send a text message through the configured provider
+const sendSms = async (to, body) => {
+  return getProvider().send({ to, body });
+};
+
+module.exports = {
+  sendSms,
+  registerProvider
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { verifyTotp } = require('../utils/totp');
+
+// ==========================================
+// TWO-FACTOR AUTHENTICATION
+// REQUIRE_2FA_FOR_STAFF=true makes 2FA mandatory for anyone passing adminAuth
+// ==========================================
+const JWT_SECRET = process.env.JWT_SECRET || 'maman-algerienne-secret-key-2024';
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Maman Algerienne';
+const CHALLENGE_TTL = '5m';
+const BACKUP_CODES_COUNT = 10;
+
+const hashBackupCode = (code) => crypto.createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Fresh recovery codes: the plain codes are shown once, only hashes are stored
+const generateBackupCodes = () => {
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODES_COUNT; i++) {
+    const raw = crypto.randomBytes(4).toString('hex');
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+  }
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+// Check an authenticator code or a recovery code against the user's 2FA settings
+// Updates the user (replay protection, consumed recovery code); the caller saves
+// Returns 'totp', 'backup' or null
+const verifySecondFactor = (user, { code, backupCode }) => {
+  const twoFactor = user.twoFactor;
+
+  if (code) {
+    const step = verifyTotp(twoFactor.secret, code);
+    if (step !== null && step > (twoFactor.lastUsedStep || 0)) {
+      twoFactor.lastUsedStep = step;
+      return 'totp';
+    }
+    return null;
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    const index = twoFactor.backupCodes.indexOf(hash);
+    if (index > -1) {
+      twoFactor.backupCodes.splice(index, 1);
+      return 'backup';
+    }
+  }
+
+  return null;
+};
+
+// Short-lived token proving the password step of a 2FA login succeeded
+const signChallenge = (user) => jwt.sign(
+  { userId: user._id, tv: user.tokenVersion || 0, purpose: '2fa' },
+  JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+// Returns the decoded challenge, or null if invalid, expired or not a challenge
+const verifyChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Staff members must enroll when the policy is on
+const isTwoFactorRequired = (user) => {
+  return process.env.REQUIRE_2FA_FOR_STAFF === 'true' && user.hasPermission('admin:access');
+};
+
+module.exports = {
+  TWO_FACTOR_ISSUER,
+  generateBackupCodes,
+  verifySecondFactor,
+  signChallenge,
+  verifyChallenge,
+  isTwoFactorRequired
+};
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const { revokeAllSessions } = require('./sessions');
+
+// ==========================================
+// USER MODERATION - Suspensions, bans and reinstatement
+// Every change records the reason and the acting admin in moderationHistory
+// ==========================================
+
+// Carries the HTTP status and error code the route should answer with
+class ModerationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ModerationError';
+    this.status = status;
+  }
+}
+
+const suspensionExpired = (user) => user.status === 'suspended' &&
+  !!user.suspendedUntil &&
+  user.suspendedUntil.getTime() <= Date.now();
+
+// Lift a suspension whose end date has passed; returns true if the user was reinstated
+const liftExpiredSuspension = async (user) => {
+  if (!suspensionExpired(user)) return false;
+
+  const User = mongoose.model('User');
+  const now = new Date();
+
+  const result = await User.updateOne(
+    { _id: user._id, status: 'suspended', suspendedUntil: { $lte: now } },
+    {
+      $set: { status: 'active', statusReason: null, suspendedUntil: null, statusChangedBy: null, statusChangedAt: now },
+      $push: { moderationHistory: { action: 'suspension_expired', at: now } }
+    }
+  );
+
+  user.status = 'active';
+  user.statusReason = null;
+  user.suspendedUntil = null;
+
+  return result.modifiedCount > 0;
+};
+
+// Body of the 403 answered to a user whose account is not active
+const accountBlockedResponse = (user) => {
+  const banned = user.status === 'banned';
+
+  return {
+    success: false,
+    message: banned ? 'تم حظر هذا الحساب' : 'تم تعليق هذا الحساب',
+    code: 'ACCOUNT_SUSPENDED',
+    accountStatus: user.status,
+    reason: user.statusReason || null,
+    suspendedUntil: banned ? null : user.suspendedUntil || null
+  };
+};
+
+// Returns null if the user may use the account, the 403 body otherwise
+// Expired suspensions are lifted on the spot rather than waiting for the job
+const checkAccountStatus = async (user) => {
+  if (user.status === 'active') return null;
+  if (await liftExpiredSuspension(user)) return null;
+  return accountBlockedResponse(user);
+};
+
+// Staff accounts can only be moderated by admins able to manage roles
+const assertCanModerate = (admin, target) => {
+  if (target._id.equals(admin._id)) {
+    throw new ModerationError(400, 'لا يمكنك تطبيق هذا الإجراء على حسابك');
+  }
+  if (target.hasPermission('admin:access') && !admin.hasPermission('users:roles')) {
+    throw new ModerationError(403, 'لا يمكنك تطبيق هذا الإجراء على حساب إداري');
+  }
+};
+
+const setStatus = (target, admin, { status, reason = null, until = null }) => {
+  target.status = status;
+  target.statusReason = reason;
+  target.suspendedUntil = until;
+  target.statusChangedBy = admin._id;
+  target.statusChangedAt = new Date();
+};
+
+// End of a suspension requested as { until: <date> } or { days: <n> }
+const suspensionEndFrom = ({ until, days }) => {
+  return until
+    ? new Date(until)
+    : new Date(Date.now() + (parseInt(days) || 0) * 24 * 60 * 60 * 1000);
+};
+
+// Suspend until `until`; the account comes back by itself afterwards
+const suspendUser = async (target, admin, { reason, until }) => {
+  assertCanModerate(admin, target);
+
+  // A ban is only lifted by reinstating the account, never shortened into a suspension
+  if (target.status === 'banned') {
+    throw new ModerationError(400, 'الحساب محظور، يجب رفع الحظر أولاً');
+  }
+
+  if (!reason || !reason.trim()) {
+    throw new ModerationError(400, 'سبب التعليق مطلوب');
+  }
+  if (!(until instanceof Date) || isNaN(until) || until.getTime() <= Date.now()) {
+    throw new ModerationError(400, 'تاريخ انتهاء التعليق يجب أن يكون في المستقبل');
+  }
+
+  setStatus(target, admin, { status: 'suspended', reason: reason.trim(), until });
+  target.moderationHistory.push({ action: 'suspend', reason: reason.trim(), until, by: admin._id });
+  target.revokeTokens();
+  await target.save();
+  await revokeAllSessions(target._id, 'account_suspended');
+
+  console.log(`⛔ ${target.email} suspended until ${until.toISOString()} by ${admin.email}`);
+};
+
+// Ban for good (until reinstated by an admin)
+const banUser = async (target, admin, { reason }) => {
+  assertCanModerate(admin, target);
+
+  if (!reason || !reason.trim()) {
+    throw new ModerationError(400, 'سبب الحظر مطلوب');
+  }
+
+  setStatus(target, admin, { status: 'banned', reason: reason.trim() });
+  target.moderationHistory.push({ action: 'ban', reason: reason.trim(), by: admin._id });
+  target.revokeTokens();
+  await target.save();
+  await revokeAllSessions(target._id, 'account_suspended');
+
+  console.log(`⛔ ${target.email} banned by ${admin.email}`);
+};
+
+// Give a suspended or banned account back its access
+const reinstateUser = async (target, admin, { reason }) => {
+  assertCanModerate(admin, target);
+
+  if (target.status !== 'suspended' && target.status !== 'banned') {
+    throw new ModerationError(400, 'الحساب ليس معلقاً أو محظوراً');
+  }
+
+  setStatus(target, admin, { status: 'active' });
+  target.moderationHistory.push({ action: 'reinstate', reason: reason ? reason.trim() : null, by: admin._id });
+  await target.save();
+
+  console.log(`✅ ${target.email} reinstated by ${admin.email}`);
+};
+
+// Sign the user out of every device without changing the account status
+const forceLogout = async (target, admin, { reason }) => {
+  assertCanModerate(admin, target);
+
+  target.revokeTokens();
+  target.moderationHistory.push({ action: 'force_logout', reason: reason ? reason.trim() : null, by: admin._id });
+  await target.save();
+  await revokeAllSessions(target._id, 'admin_logout');
+
+  console.log(`🚪 ${target.email} logged out of all devices by ${admin.email}`);
+};
+
+// Lift every suspension whose end date has passed (background job)
+const expireSuspensions = async () => {
+  const User = mongoose.model('User');
+
+  const due = await User.find({
+    status: 'suspended',
+    suspendedUntil: { $ne: null, $lte: new Date() }
+  }).select('_id status suspendedUntil');
+
+  let lifted = 0;
+  for (const user of due) {
+    if (await liftExpiredSuspension(user)) lifted++;
+  }
+
+  return lifted;
+};
+
+module.exports = {
+  ModerationError,
+  checkAccountStatus,
+  accountBlockedResponse,
+  assertCanModerate,
+  suspensionEndFrom,
+  suspendUser,
+  banUser,
+  reinstateUser,
+  forceLogout,
+  expireSuspensions
+};
@@ -0,0 +1,57 @@
+// ==========================================
+// ARABIC TEXT NORMALIZATION - Used for search, at index time and at query time
+// so that spelling variants meet: أ/إ/آ -> ا, ة -> ه, ى -> ي, no harakat or tatweel,
+// Arabic-Indic digits -> 0-9, and French/Darja written in Latin letters lowercased,
+// without accents and with common spelling variants folded (sh/ch, ou/u, doubled letters)
+// ==========================================
+// Attached prefixes dropped from longer words: "والمدرسة" and "مدرسة" index the same
+const ARABIC_PREFIXES = ['وال', 'بال', 'كال', 'فال', 'لل', 'ال'];
+const MIN_STEM_LENGTH = 3;
+
+// Normalize a single character (one code point); may return '' or several characters
+const normalizeChar = (char) => {
+  if (char >= '٠' && char <= '٩') return String(char.charCodeAt(0) - 0x0660);
+  if (char >= '۰' && char <= '۹') return String(char.charCodeAt(0) - 0x06F0);
+
+  const base = char.normalize('NFKD').replace(/\p{M}/gu, '');
+  switch (base) {
+    case 'ـ': return '';
+    case 'ة': return 'ه';
+    case 'ى': return 'ي';
+    case 'ٱ': return 'ا';
+    default: return base.toLowerCase();
+  }
+};
+
+// Character-level normalization (keeps word boundaries and punctuation)
+const normalizeText = (text) => [...String(text || '')].map(normalizeChar).join('');
+
+const foldLatin = (word) => word
+  .replace(/sh/g, 'ch')
+  .replace(/ou/g, 'u')
+  .replace(/(.)\1+/g, '$1');
+
+const stripArabicPrefix = (word) => {
+  for (const prefix of ARABIC_PREFIXES) {
+    if (word.startsWith(prefix) && word.length - prefix.length >= MIN_STEM_LENGTH) {
+      return word.slice(prefix.length);
+    }
+  }
+  return word;
+};
+
+// Normalized search terms of a text
+const tokenize = (text) => normalizeText(text)
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean)
+  .map(word => (/^[a-z0-9]+$/.test(word) ? foldLatin(word) : stripArabicPrefix(word)));
+
+// Space-separated normalized terms, as stored in the search fields
+const normalizeForSearch = (text) => tokenize(text).join(' ');
+
+module.exports = {
+  normalizeChar,
+  normalizeText,
+  tokenize,
+  normalizeForSearch
+};
@@ -0,0 +1,59 @@
+// ==========================================
+// DIFF - Line-based text diff (longest common subsequence)
+// ==========================================
+
+// Above this many line pairs the LCS table gets too big: show a full replacement instead
+const MAX_CELLS = 2000000;
+
+// Returns [{ type: 'same' | 'added' | 'removed', text }] turning `before` into `after`
+const diffLines = (before, after) => {
+  const a = String(before || '').split(/\r?\n/);
+  const b = String(after || '').split(/\r?\n/);
+
+  if (a.length * b.length > MAX_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ type: 'removed', text: a[i++] });
+    } else {
+      result.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) result.push({ type: 'added', text: b[j++] });
+
+  return result;
+};
+
+// Items only in `before` / only in `after`
+const diffSets = (before = [], after = []) => ({
+  removed: before.filter(item => !after.includes(item)),
+  added: after.filter(item => !before.includes(item))
+});
+
+module.exports = {
+  diffLines,
+  diffSets
+};
@@ -0,0 +1,31 @@
+// ==========================================
+// PHONE NUMBERS - Algerian number helpers
+// ==========================================
+
+// Normalize to the local 0XXXXXXXXX form so "+213 555 12 34 56" equals "0555123456"
+const normalizePhone = (phone) => {
+  if (!phone) return '';
+  let digits = String(phone).replace(/[^\d+]/g, '');
+  if (digits.startsWith('+213')) digits = '0' + digits.slice(4);
+  else if (digits.startsWith('00213')) digits = '0' + digits.slice(5);
+  else if (digits.startsWith('213') && digits.length === 12) digits = '0' + digits.slice(3);
+  return digits.replace(/\+/g, '');
+};
+
+const isSamePhone = (a, b) => {
+  const left = normalizePhone(a);
+  return left.length > 0 && left === normalizePhone(b);
+};
+
+// Mask all but the last two digits for display, e.g. "05******56"
+const maskPhone = (phone) => {
+  const normalized = normalizePhone(phone);
+  if (normalized.length < 4) return normalized;
+  return normalized.slice(0, 2) + '*'.repeat(normalized.length - 4) + normalized.slice(-2);
+};
+
+module.exports = {
+  normalizePhone,
+  isSamePhone,
+  maskPhone
+};
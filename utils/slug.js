@@ -0,0 +1,43 @@
+// ==========================================
+// SLUGS - Readable URL segments that keep Arabic letters
+// "كيف أحضّر طفلي للمدرسة؟" -> "كيف-احضر-طفلي-للمدرسة"
+// ==========================================
+const MAX_SLUG_LENGTH = 80;
+
+const slugify = (text) => {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    // Harakat, shadda, hamza marks and Latin accents
+    .replace(/\p{M}/gu, '')
+    // Tatweel (decorative stretching)
+    .replace(/ـ/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+
+  const chars = [...slug];
+  if (chars.length <= MAX_SLUG_LENGTH) return slug;
+
+  // Cut on a word boundary when possible
+  const cut = chars.slice(0, MAX_SLUG_LENGTH).join('');
+  const lastDash = cut.lastIndexOf('-');
+  return (lastDash > MAX_SLUG_LENGTH / 2 ? cut.slice(0, lastDash) : cut).replace(/-+$/, '');
+};
+
+// First of "base", "base-2", "base-3"... for which `isTaken` resolves to false
+const uniqueSlug = async (base, isTaken) => {
+  let candidate = base;
+  let suffix = 2;
+
+  while (await isTaken(candidate)) {
+    candidate = `${base}-${suffix}`;
+    suffix++;
+  }
+
+  return candidate;
+};
+
+module.exports = {
+  slugify,
+  uniqueSlug
+};
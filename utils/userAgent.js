@@ -0,0 +1,40 @@
+// ==========================================
+// USER AGENT - Readable device description
+// ==========================================
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => {
+  const found = list.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+};
+
+// Turn a raw User-Agent header into { browser, os, mobile, label }
+const describeUserAgent = (userAgent = '') => {
+  const browser = match(BROWSERS, userAgent);
+  const os = match(SYSTEMS, userAgent);
+  const mobile = /Mobile|Android|iPhone|iPad/.test(userAgent);
+
+  return {
+    browser,
+    os,
+    mobile,
+    label: [browser, os].filter(Boolean).join(' - ') || 'جهاز غير معروف'
+  };
+};
+
+module.exports = { describeUserAgent };